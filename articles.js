@@ -0,0 +1,114 @@
+const { run, get, transaction } = require('./db');
+const { recordEvent } = require('./webhooks');
+
+const TEXT_FIELDS = ['name', 'description', 'category', 'family'];
+
+// Validates a create or update body. With `partial`, missing fields are left out so an
+// update only touches what was sent; null clears a field.
+// Returns { values } (column → value) or { error }.
+function parseArticleInput(body = {}, { partial = false } = {}) {
+  const values = {};
+
+  for (const field of TEXT_FIELDS) {
+    if (body[field] === undefined) {
+      if (!partial) {
+        values[field] = null;
+      }
+      continue;
+    }
+    if (body[field] !== null && typeof body[field] !== 'string') {
+      return { error: `${field} must be a string or null` };
+    }
+    values[field] = body[field] === null || body[field].trim() === '' ? null : body[field].trim();
+  }
+
+  if (body.attributes !== undefined) {
+    const attributes = body.attributes;
+    if (attributes !== null && (typeof attributes !== 'object' || Array.isArray(attributes))) {
+      return { error: 'attributes must be a JSON object or null' };
+    }
+    values.attributes = attributes && Object.keys(attributes).length > 0 ? JSON.stringify(attributes) : null;
+  } else if (!partial) {
+    values.attributes = null;
+  }
+
+  if (body.active !== undefined) {
+    if (typeof body.active !== 'boolean') {
+      return { error: 'active must be true or false' };
+    }
+    values.active = body.active ? 1 : 0;
+  } else if (!partial) {
+    values.active = 1;
+  }
+
+  return { values };
+}
+
+// Shapes an articles row for responses
+function articleEntry(row) {
+  return {
+    articleId: row.article_id,
+    name: row.name,
+    description: row.description,
+    category: row.category,
+    family: row.family,
+    attributes: row.attributes ? JSON.parse(row.attributes) : {},
+    active: row.active === undefined || row.active === null ? true : Boolean(row.active),
+    createdAt: row.created_at,
+    updatedAt: row.updated_at
+  };
+}
+
+function getArticle(articleId) {
+  return get(`SELECT * FROM articles WHERE article_id = ?`, [articleId]);
+}
+
+// Returns the new row, or null when the article already exists
+async function createArticle(articleId, values) {
+  const columns = Object.keys(values);
+  const result = await run(
+    `INSERT OR IGNORE INTO articles (article_id, ${columns.join(', ')}) VALUES (?, ${columns.map(() => '?').join(', ')})`,
+    [articleId, ...columns.map(column => values[column])]
+  );
+  if (result.changes === 0) {
+    return null;
+  }
+
+  const article = await getArticle(articleId);
+  await recordEvent('article.created', { article: articleEntry(article) });
+  return article;
+}
+
+// Returns the updated row, or null when the article does not exist
+async function updateArticle(articleId, values) {
+  const columns = Object.keys(values);
+  const result = await run(
+    `UPDATE articles SET ${columns.map(column => `${column} = ?, `).join('')}updated_at = CURRENT_TIMESTAMP
+     WHERE article_id = ?`,
+    [...columns.map(column => values[column]), articleId]
+  );
+  if (result.changes === 0) {
+    return null;
+  }
+
+  const article = await getArticle(articleId);
+  await recordEvent('article.updated', { article: articleEntry(article) });
+  return article;
+}
+
+// Removes the article and its image links; the images themselves stay.
+// Returns the number of removed links, or null when the article does not exist.
+async function deleteArticle(articleId) {
+  return transaction(async () => {
+    const links = await run(`DELETE FROM article_images WHERE article_id = ?`, [articleId]);
+    const result = await run(`DELETE FROM articles WHERE article_id = ?`, [articleId]);
+    if (result.changes === 0) {
+      return null;
+    }
+
+    await recordEvent('article.deleted', { articleId, unlinkedImages: links.changes });
+    return links.changes;
+  });
+}
+
+module.exports = { parseArticleInput, articleEntry, getArticle, createArticle, updateArticle, deleteArticle };
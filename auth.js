@@ -0,0 +1,122 @@
+const crypto = require('crypto');
+const { config } = require('./config');
+const { run, get, all } = require('./db');
+const { logger } = require('./logger');
+
+const SCOPES = ['read', 'upload', 'admin'];
+const KEY_PREFIX = 'cat';
+
+function hashKey(key) {
+  return crypto.createHash('sha256').update(key).digest('hex');
+}
+
+// Keys look like cat_<keyId>_<secret>. Only the key id and a hash of the full key are
+// stored, so the secret is shown once at creation and cannot be recovered.
+async function createApiKey({ name, scopes }) {
+  const invalid = scopes.filter(scope => !SCOPES.includes(scope));
+  if (!name || scopes.length === 0 || invalid.length > 0) {
+    throw new Error(`A name and one or more scopes (${SCOPES.join(', ')}) are required`);
+  }
+
+  const keyId = crypto.randomBytes(6).toString('hex');
+  const key = `${KEY_PREFIX}_${keyId}_${crypto.randomBytes(24).toString('base64url')}`;
+
+  await run(
+    `INSERT INTO api_keys (key_id, key_hash, name, scopes) VALUES (?, ?, ?, ?)`,
+    [keyId, hashKey(key), name, scopes.join(',')]
+  );
+
+  return { keyId, key, name, scopes };
+}
+
+async function listApiKeys() {
+  const rows = await all(
+    `SELECT key_id, name, scopes, created_at, last_used_at, revoked_at FROM api_keys ORDER BY id`
+  );
+  return rows.map(row => ({ ...row, scopes: row.scopes.split(',') }));
+}
+
+async function revokeApiKey(keyId) {
+  const result = await run(
+    `UPDATE api_keys SET revoked_at = CURRENT_TIMESTAMP WHERE key_id = ? AND revoked_at IS NULL`,
+    [keyId]
+  );
+  return result.changes > 0;
+}
+
+// Returns the active key matching an `Authorization: Bearer <key>` header, or null
+async function authenticate(header) {
+  const match = /^Bearer\s+(\S+)$/i.exec(header || '');
+  if (!match) {
+    return null;
+  }
+
+  const key = match[1];
+  const parts = key.split('_');
+  if (parts.length < 3 || parts[0] !== KEY_PREFIX) {
+    return null;
+  }
+
+  const row = await get(`SELECT * FROM api_keys WHERE key_id = ? AND revoked_at IS NULL`, [parts[1]]);
+  if (!row) {
+    return null;
+  }
+
+  const expected = Buffer.from(row.key_hash, 'hex');
+  const actual = Buffer.from(hashKey(key), 'hex');
+  if (!crypto.timingSafeEqual(expected, actual)) {
+    return null;
+  }
+
+  run(`UPDATE api_keys SET last_used_at = CURRENT_TIMESTAMP WHERE id = ?`, [row.id])
+    .catch(err => logger.error('Database error', { error: err }));
+
+  return { keyId: row.key_id, name: row.name, scopes: row.scopes.split(',') };
+}
+
+function isAuthRequired() {
+  return config.requireApiKey;
+}
+
+// The admin scope satisfies every requirement
+function grantsScope(apiKey, scope) {
+  return apiKey.scopes.includes(scope) || apiKey.scopes.includes('admin');
+}
+
+// For routes open to everyone that do more for key holders: true when auth is off or the
+// request carries a valid key with the scope. Never rejects the request itself.
+async function hasScope(req, scope) {
+  if (!isAuthRequired()) {
+    return true;
+  }
+  const apiKey = req.apiKey || await authenticate(req.get('Authorization'));
+  return Boolean(apiKey && grantsScope(apiKey, scope));
+}
+
+// Express middleware
+function requireScope(scope) {
+  return async (req, res, next) => {
+    if (!isAuthRequired()) {
+      return next();
+    }
+
+    try {
+      const apiKey = await authenticate(req.get('Authorization'));
+
+      if (!apiKey) {
+        return res.status(401).json({ error: 'A valid API key is required', code: 'UNAUTHORIZED' });
+      }
+      if (!grantsScope(apiKey, scope)) {
+        return res.status(403).json({ error: `API key lacks the "${scope}" scope`, code: 'FORBIDDEN' });
+      }
+
+      req.apiKey = apiKey;
+      next();
+    } catch (error) {
+      logger.error('Authentication error', { error });
+      res.status(500).json({ error: 'Failed to authenticate request' });
+    }
+  };
+}
+
+module.exports = { SCOPES, createApiKey, listApiKeys, revokeApiKey, authenticate, hasScope, requireScope };
@@ -1,55 +1,147 @@
 const fs = require('fs');
 const path = require('path');
+const { parseArgs } = require('util');
 const FormData = require('form-data');
 const axios = require('axios');
+const { hashFile, defaultManifestPath, createManifest, loadManifest, saveManifest } = require('./batch/manifest');
+const { loadMapping } = require('./batch/mapping');
+const { parseFilename, isImageFile } = require('./batch/naming');
+const { FORMATS, detectFormat } = require('./filetype');
 
-const API_BASE_URL = 'http://localhost:5000';
+const API_BASE_URL = (process.env.API_BASE_URL || 'http://localhost:5000').replace(/\/+$/, '');
 const UPLOAD_ENDPOINT = `${API_BASE_URL}/api/upload`;
+const API_KEY = process.env.API_KEY;
+const RETRY_BASE_DELAY_MS = 1000;
+
+// Image paths relative to folderPath, always with forward slashes
+function listImageFiles(folderPath, recursive) {
+  const found = [];
+
+  function walk(relativeDir) {
+    fs.readdirSync(path.join(folderPath, relativeDir), { withFileTypes: true }).forEach(entry => {
+      const relativePath = relativeDir ? `${relativeDir}/${entry.name}` : entry.name;
+      if (entry.isDirectory()) {
+        if (recursive && !entry.name.startsWith('.')) {
+          walk(relativePath);
+        }
+      } else if (isImageFile(entry.name)) {
+        found.push(relativePath);
+      }
+    });
+  }
 
-function parseFilename(filename) {
-  const name = path.parse(filename).name;
-
-  // Split by hyphen to get article IDs
-  const articleIds = name.split('-')
-    .map(id => id.trim())
-    .filter(id => id !== '');
-
-  return {
-    filename: filename,
-    articleIds: articleIds,
-    isMultiple: articleIds.length > 1
-  };
+  walk('');
+  return found.sort();
 }
 
-function getImageFiles(folderPath) {
+function getImageFiles(folderPath, { parseOptions, recursive = false } = {}) {
   try {
-    const files = fs.readdirSync(folderPath);
-    return files
-      .filter(file => {
-        const ext = path.extname(file).toLowerCase();
-        return ['.png', '.jpg', '.jpeg', '.gif'].includes(ext);
-      })
-      .map(file => {
-        const fullPath = path.join(folderPath, file);
-        const parsed = parseFilename(file);
-
-        return {
-          filePath: fullPath,
-          fileName: file,
-          articleIds: parsed.articleIds,
-          isMultiple: parsed.isMultiple
-        };
-      });
+    return listImageFiles(folderPath, recursive).map(file => {
+      const fullPath = path.join(folderPath, file);
+      const parsed = parseFilename(path.basename(file), parseOptions);
+
+      return {
+        filePath: fullPath,
+        fileName: file,
+        articleIds: parsed.articleIds,
+        isMultiple: parsed.isMultiple
+      };
+    });
   } catch (error) {
     console.error('Error reading folder:', error.message);
     return [];
   }
 }
 
+// Builds the upload list from a mapping file instead of file names. Paths in the mapping
+// are relative to folderPath, which is searched recursively to find files no row covers.
+function getMappedImageFiles(folderPath, mappingPath) {
+  const { rows, errors } = loadMapping(mappingPath);
+  const rowErrors = [...errors];
+  const missingRows = [];
+  const imageFiles = [];
+  const covered = new Set();
+
+  rows.forEach(row => {
+    const fileName = path.relative(folderPath, path.resolve(folderPath, row.file)).split(path.sep).join('/');
+    const filePath = path.join(folderPath, fileName);
+
+    if (covered.has(fileName)) {
+      rowErrors.push({ line: row.line, file: row.file, error: 'file is listed more than once' });
+    } else if (!fs.existsSync(filePath) || !fs.statSync(filePath).isFile()) {
+      missingRows.push(row);
+    } else {
+      covered.add(fileName);
+      imageFiles.push({
+        filePath: filePath,
+        fileName: fileName,
+        articleIds: row.articleIds,
+        isMultiple: row.articleIds.length > 1,
+        sortOrder: row.sortOrder,
+        altText: row.altText
+      });
+    }
+  });
+
+  const uncoveredFiles = listImageFiles(folderPath, true).filter(file => !covered.has(file));
+
+  return { imageFiles, rowErrors, missingRows, uncoveredFiles };
+}
+
+// Prints mapping problems and returns how many there were
+function reportMappingProblems({ rowErrors, missingRows, uncoveredFiles }) {
+  if (rowErrors.length > 0) {
+    console.log(`⚠️  ${rowErrors.length} invalid mapping row(s):`);
+    rowErrors.forEach(row => console.log(`   - line ${row.line} (${row.file || 'no file'}): ${row.error}`));
+  }
+  if (missingRows.length > 0) {
+    console.log(`⚠️  ${missingRows.length} mapping row(s) whose file is missing:`);
+    missingRows.forEach(row => console.log(`   - line ${row.line}: ${row.file}`));
+  }
+  if (uncoveredFiles.length > 0) {
+    console.log(`⚠️  ${uncoveredFiles.length} image file(s) not covered by any mapping row (not uploaded):`);
+    uncoveredFiles.forEach(file => console.log(`   - ${file}`));
+  }
+
+  const count = rowErrors.length + missingRows.length + uncoveredFiles.length;
+  if (count > 0) {
+    console.log();
+  }
+  return count;
+}
+
+function collectImageFiles(folderPath, { parseOptions, recursive, mappingPath } = {}) {
+  if (!mappingPath) {
+    return { imageFiles: getImageFiles(folderPath, { parseOptions, recursive }), problemCount: 0 };
+  }
+
+  console.log(`🗺️  Mapping: ${mappingPath}\n`);
+  const mapped = getMappedImageFiles(folderPath, mappingPath);
+  return { imageFiles: mapped.imageFiles, problemCount: reportMappingProblems(mapped) };
+}
+
+// The format the server will detect from the file's first bytes, or null when it is not a
+// JPEG, PNG or GIF. The extension is only a name.
+function sniffFormat(filePath) {
+  const header = Buffer.alloc(16);
+  const fd = fs.openSync(filePath, 'r');
+  try {
+    const length = fs.readSync(fd, header, 0, header.length, 0);
+    const format = detectFormat(header.subarray(0, length));
+    return format ? FORMATS[format] : null;
+  } finally {
+    fs.closeSync(fd);
+  }
+}
+
 async function uploadImage(imageInfo) {
   try {
+    // Declare what the content is, so a JPEG named .png is not rejected as a mismatch
+    const format = sniffFormat(imageInfo.filePath);
     const form = new FormData();
-    form.append('file', fs.createReadStream(imageInfo.filePath));
+    form.append('file', fs.createReadStream(imageInfo.filePath), {
+      contentType: format ? format.contentType : 'application/octet-stream'
+    });
 
     // Use articleIds for multiple articles, articleId for single article
     if (imageInfo.isMultiple) {
@@ -58,9 +150,17 @@ async function uploadImage(imageInfo) {
       form.append('articleId', imageInfo.articleIds[0]);
     }
 
+    if (imageInfo.sortOrder !== undefined) {
+      form.append('sortOrder', String(imageInfo.sortOrder));
+    }
+    if (imageInfo.altText) {
+      form.append('altText', imageInfo.altText);
+    }
+
     const response = await axios.post(UPLOAD_ENDPOINT, form, {
       headers: {
         ...form.getHeaders(),
+        ...(API_KEY ? { Authorization: `Bearer ${API_KEY}` } : {})
       },
       timeout: 30000
     });
@@ -74,28 +174,202 @@ async function uploadImage(imageInfo) {
     };
 
   } catch (error) {
+    const status = error.response?.status;
+
     return {
       success: false,
       fileName: imageInfo.fileName,
       articleIds: imageInfo.articleIds,
       isMultiple: imageInfo.isMultiple,
-      error: error.response?.data?.error || error.message
+      error: error.response?.data?.error || error.message,
+      code: error.response?.data?.code,
+      // Finds the matching server log lines
+      requestId: error.response?.headers?.['x-request-id'],
+      // Network errors, rate limits and server errors may succeed later, rejected files will not
+      retryable: !status || status === 429 || status >= 500
     };
   }
 }
 
-async function batchUpload(folderPath, concurrent = 3) {
+function sleep(ms) {
+  return new Promise(resolve => setTimeout(resolve, ms));
+}
+
+async function uploadWithRetry(imageInfo, retries, label) {
+  let attempt = 0;
+
+  while (true) {
+    attempt++;
+    const result = await uploadImage(imageInfo);
+    result.attempts = attempt;
+
+    if (result.success || !result.retryable || attempt > retries) {
+      return result;
+    }
+
+    const delay = RETRY_BASE_DELAY_MS * 2 ** (attempt - 1);
+    console.log(`   🔁 ${label} ${imageInfo.fileName} failed (${result.error}), retrying in ${delay / 1000}s...`);
+    await sleep(delay);
+  }
+}
+
+// Follows the article list's cursor pagination to the last page
+async function fetchExistingArticleIds() {
+  const articleIds = new Set();
+  let cursor = null;
+
+  do {
+    const response = await axios.get(`${API_BASE_URL}/api/articles`, {
+      headers: API_KEY ? { Authorization: `Bearer ${API_KEY}` } : {},
+      params: cursor ? { limit: 200, cursor } : { limit: 200 },
+      timeout: 30000
+    });
+    response.data.data.forEach(article => articleIds.add(article.articleId));
+    cursor = response.data.pagination.nextCursor;
+  } while (cursor);
+
+  return articleIds;
+}
+
+// Prints the planned image → article mapping and flags anything suspicious.
+// Returns the number of problems found; nothing is uploaded.
+async function dryRun(folderPath, collectOptions) {
+  console.log(`🔍 Dry run for: ${folderPath}`);
+  console.log(`📡 Checking articles against: ${API_BASE_URL}/api/articles\n`);
+
+  const { imageFiles, problemCount: mappingProblemCount } = collectImageFiles(folderPath, collectOptions);
+  const problems = [];
+
+  if (imageFiles.length === 0) {
+    console.log('❌ No image files found in the specified folder.');
+    return 1;
+  }
+
+  let existingArticleIds = null;
+  try {
+    existingArticleIds = await fetchExistingArticleIds();
+  } catch (error) {
+    const message = `Could not check existing articles: ${error.response?.data?.error || error.message}`;
+    console.log(`⚠️  ${message}\n`);
+    problems.push(message);
+  }
+
+  const filesByHash = new Map();
+
+  imageFiles.forEach((img, index) => {
+    const issues = [];
+
+    if (img.articleIds.length === 0) {
+      issues.push('no article IDs in file name');
+    }
+
+    const nonNumeric = img.articleIds.filter(id => !/^\d+$/.test(id));
+    if (nonNumeric.length > 0) {
+      issues.push(`non-numeric article IDs: ${nonNumeric.join(', ')}`);
+    }
+
+    const repeated = img.articleIds.filter((id, position) => img.articleIds.indexOf(id) !== position);
+    if (repeated.length > 0) {
+      issues.push(`article IDs listed twice: ${[...new Set(repeated)].join(', ')}`);
+    }
+
+    if (existingArticleIds) {
+      const unknown = img.articleIds.filter(id => !existingArticleIds.has(id));
+      if (unknown.length > 0) {
+        issues.push(`unknown articles: ${unknown.join(', ')}`);
+      }
+    }
+
+    const format = sniffFormat(img.filePath);
+    const extension = path.extname(img.fileName).toLowerCase();
+    if (!format) {
+      issues.push('content is not a JPEG, PNG or GIF image');
+    } else if (format.extension !== extension && !(format.extension === '.jpg' && extension === '.jpeg')) {
+      issues.push(`content is ${format.contentType}, not what the ${extension} extension says (stored as ${format.extension})`);
+    }
+
+    const hash = hashFile(img.filePath);
+    if (filesByHash.has(hash)) {
+      issues.push(`same content as ${filesByHash.get(hash)}`);
+    } else {
+      filesByHash.set(hash, img.fileName);
+    }
+
+    console.log(`   ${issues.length > 0 ? '⚠️ ' : '✅'} ${index + 1}. ${img.fileName} → ${img.articleIds.join(', ') || '(none)'}`);
+    issues.forEach(issue => console.log(`         ${issue}`));
+    issues.forEach(issue => problems.push(`${img.fileName}: ${issue}`));
+  });
+
+  console.log('\n📊 Dry Run Summary:');
+  console.log(`   📁 Files: ${imageFiles.length}`);
+  console.log(`   🔗 Planned article-image links: ${imageFiles.reduce((total, img) => total + img.articleIds.length, 0)}`);
+  console.log(`   ⚠️  Problems: ${problems.length + mappingProblemCount}`);
+
+  return problems.length + mappingProblemCount;
+}
+
+// What an upload sets besides the file's bytes, as recorded in the manifest. A file whose
+// article IDs, sort order or alt text changed is sent again, which updates them.
+function uploadTarget({ articleIds, sortOrder, altText }) {
+  return { articleIds, sortOrder: sortOrder ?? null, altText: altText || null };
+}
+
+async function batchUpload(folderPath, { concurrent = 3, retries = 3, manifestPath, ...collectOptions } = {}) {
+  manifestPath = manifestPath || defaultManifestPath(folderPath);
+
   console.log(`🚀 Starting batch upload from: ${folderPath}`);
   console.log(`📡 API Endpoint: ${UPLOAD_ENDPOINT}`);
-  console.log(`🔄 Concurrent uploads: ${concurrent}\n`);
+  console.log(`🔑 API key: ${API_KEY ? 'from API_KEY' : 'none'}`);
+  console.log(`🔄 Concurrent uploads: ${concurrent}, retries per file: ${retries}`);
+  console.log(`🧾 Manifest: ${manifestPath}\n`);
 
-  const imageFiles = getImageFiles(folderPath);
+  const { imageFiles: allImageFiles } = collectImageFiles(folderPath, collectOptions);
 
-  if (imageFiles.length === 0) {
+  if (allImageFiles.length === 0) {
     console.log('❌ No image files found in the specified folder.');
     return;
   }
 
+  // Files recorded as uploaded with the same content hash are skipped, so rerunning the
+  // same folder (or resuming an interrupted run) only sends new, changed or failed files
+  const manifest = fs.existsSync(manifestPath) ? loadManifest(manifestPath) : createManifest(folderPath);
+  manifest.mapping = collectOptions.mappingPath ? path.resolve(collectOptions.mappingPath) : manifest.mapping;
+  const skipped = [];
+  const imageFiles = [];
+
+  allImageFiles.forEach(imageInfo => {
+    const hash = hashFile(imageInfo.filePath);
+    const entry = manifest.files[imageInfo.fileName];
+
+    const sameTarget = entry && JSON.stringify(uploadTarget(entry)) === JSON.stringify(uploadTarget(imageInfo));
+
+    if (entry && entry.status === 'uploaded' && entry.hash === hash && sameTarget) {
+      skipped.push(imageInfo);
+      return;
+    }
+
+    manifest.files[imageInfo.fileName] = {
+      path: imageInfo.filePath,
+      hash: hash,
+      ...uploadTarget(imageInfo),
+      status: 'pending',
+      attempts: entry && entry.hash === hash ? entry.attempts : 0,
+      uuid: null,
+      error: null
+    };
+    imageFiles.push(imageInfo);
+  });
+  saveManifest(manifestPath, manifest);
+
+  if (skipped.length > 0) {
+    console.log(`⏭️  Skipping ${skipped.length} file(s) already uploaded according to the manifest\n`);
+  }
+
+  if (imageFiles.length === 0) {
+    console.log('✅ Nothing to upload, every file is already recorded as uploaded.');
+    return;
+  }
+
   console.log(`📁 Found ${imageFiles.length} image files:\n`);
 
   imageFiles.forEach((img, index) => {
@@ -126,17 +400,31 @@ async function batchUpload(folderPath, concurrent = 3) {
 
       console.log(`   [${overallIndex}/${imageFiles.length}] Uploading ${imageInfo.fileName} for ${articleText}...`);
 
-      const result = await uploadImage(imageInfo);
+      const result = await uploadWithRetry(imageInfo, retries, `[${overallIndex}/${imageFiles.length}]`);
+
+      const entry = manifest.files[imageInfo.fileName];
+      entry.attempts += result.attempts;
+      entry.status = result.success ? 'uploaded' : 'failed';
+      entry.uuid = result.success ? result.data.uuid : null;
+      entry.error = result.success ? null : result.error;
+      entry.requestId = result.success ? null : result.requestId || null;
+      saveManifest(manifestPath, manifest);
 
       if (result.success) {
-        console.log(`   ✅ [${overallIndex}/${imageFiles.length}] ${imageInfo.fileName} uploaded successfully`);
+        if (result.data.deduplicated) {
+          console.log(`   ♻️  [${overallIndex}/${imageFiles.length}] ${imageInfo.fileName} already stored, reused existing image`);
+        } else {
+          console.log(`   ✅ [${overallIndex}/${imageFiles.length}] ${imageInfo.fileName} uploaded successfully`);
+        }
         console.log(`      UUID: ${result.data.uuid}`);
-        if (result.data.articleCount) {
-          console.log(`      Created ${result.data.articleCount} database records`);
+        if (result.data.newArticleIds) {
+          console.log(`      Linked ${result.data.newArticleIds.length} new articles`);
         }
         results.successful.push(result);
       } else {
-        console.log(`   ❌ [${overallIndex}/${imageFiles.length}] ${imageInfo.fileName} failed: ${result.error}`);
+        const codeText = result.code ? ` [${result.code}]` : '';
+        const requestText = result.requestId ? ` (request ${result.requestId})` : '';
+        console.log(`   ❌ [${overallIndex}/${imageFiles.length}] ${imageInfo.fileName} failed: ${result.error}${codeText}${requestText}`);
         results.failed.push(result);
       }
 
@@ -149,13 +437,15 @@ async function batchUpload(folderPath, concurrent = 3) {
 
   // Summary
   console.log('📊 Upload Summary:');
+  console.log(`   ⏭️  Skipped (already uploaded): ${skipped.length}`);
   console.log(`   ✅ Successful: ${results.successful.length}`);
+  console.log(`   ♻️  Deduplicated: ${results.successful.filter(result => result.data.deduplicated).length}`);
   console.log(`   ❌ Failed: ${results.failed.length}`);
   console.log(`   📈 Success Rate: ${((results.successful.length / imageFiles.length) * 100).toFixed(1)}%`);
 
   // Count total article-image relationships created
   const totalRelationships = results.successful.reduce((total, result) => {
-    return total + (result.data.articleCount || result.articleIds.length);
+    return total + (result.data.newArticleIds ? result.data.newArticleIds.length : result.articleIds.length);
   }, 0);
 
   console.log(`   🔗 Total article-image relationships created: ${totalRelationships}`);
@@ -166,42 +456,152 @@ async function batchUpload(folderPath, concurrent = 3) {
       const articleText = fail.isMultiple
         ? `${fail.articleIds.join(', ')}`
         : fail.articleIds[0];
-      console.log(`   - ${fail.fileName} (${articleText}): ${fail.error}`);
+      const codeText = fail.code ? ` [${fail.code}]` : '';
+      const requestText = fail.requestId ? ` request ${fail.requestId}` : '';
+      console.log(`   - ${fail.fileName} (${articleText}): ${fail.error}${codeText}${requestText}`);
     });
   }
 
+  if (results.failed.length > 0) {
+    console.log(`\n🔁 Retry the failed files with: node batch-upload.js --resume "${manifestPath}"`);
+  }
+
   console.log('\n🎉 Batch upload completed!');
+  return results;
 }
 
 function showUsage() {
   console.log('📋 Usage:');
-  console.log('   node batch-upload.js <folder-path> [concurrent-uploads]');
+  console.log('   node batch-upload.js <folder-path> [concurrent-uploads] [--manifest <file>] [--retries <n>]');
+  console.log('   node batch-upload.js --resume <manifest> [concurrent-uploads]');
+  console.log('   node batch-upload.js <folder-path> --dry-run');
+  console.log('   node batch-upload.js [folder-path] --mapping <file.csv|file.json>');
+  console.log('');
+  console.log('⚙️  Options:');
+  console.log('   --dry-run                 Print the planned mapping, check it against /api/articles, upload nothing');
+  console.log('   --separator <text>        Separator between article IDs in file names (default: "-")');
+  console.log('   --article-pattern <regex> Take article IDs from regex matches instead of splitting');
+  console.log('   --mapping <file.csv|json> Take file → article IDs, sort order and alt text from a mapping file');
+  console.log('   --recursive               Include images in subfolders (always on with --mapping)');
+  console.log('   --manifest <file>         Where to keep the run manifest');
+  console.log('   --retries <n>             Retries per file for network and server errors (default: 3)');
   console.log('');
   console.log('📁 Examples:');
   console.log('   node batch-upload.js ./images');
   console.log('   node batch-upload.js ./images 5');
   console.log('   node batch-upload.js "C:\\Users\\Name\\Pictures"');
+  console.log('   node batch-upload.js --resume ./images/.batch-upload-manifest.json');
   console.log('');
   console.log('📝 File Naming Convention:');
   console.log('   Single article:   "article123.png" → Article ID: article123');
   console.log('   Multiple articles: "art1-art2-art3.jpg" → Article IDs: art1, art2, art3');
+  console.log('   Hyphenated IDs:    "product-xyz_blog-post.jpg" with --separator _ → product-xyz, blog-post');
   console.log('');
   console.log('✨ Features:');
   console.log('   - Supports PNG, JPG, JPEG, GIF formats');
   console.log('   - Handles both single and multiple article assignments');
-  console.log('   - Creates separate database records for each article-image relationship');
+  console.log('   - Stores each image once and links it to every article');
   console.log('   - Default concurrent uploads: 3');
-  console.log('   - Make sure the API server is running on http://localhost:5000');
+  console.log('   - Records every file in a manifest (default: <folder>/.batch-upload-manifest.json)');
+  console.log('     and skips files it already uploaded, so reruns are idempotent');
+  console.log('   - Retries network and server errors with exponential backoff (default: 3 retries)');
+  console.log('   - Make sure the API server is running on http://localhost:5000, or set API_BASE_URL to its address');
+  console.log('   - Set API_KEY to a key with the "upload" scope when the server requires API keys');
 }
 
 // Main execution
-if (process.argv.length < 3) {
+let args;
+try {
+  args = parseArgs({
+    allowPositionals: true,
+    options: {
+      resume: { type: 'string' },
+      manifest: { type: 'string' },
+      retries: { type: 'string' },
+      mapping: { type: 'string' },
+      recursive: { type: 'boolean' },
+      'dry-run': { type: 'boolean' },
+      separator: { type: 'string' },
+      'article-pattern': { type: 'string' }
+    }
+  });
+} catch (error) {
+  console.error(`❌ Error: ${error.message}`);
+  showUsage();
+  process.exit(1);
+}
+
+if (!/^https?:\/\/[^/]/.test(API_BASE_URL) || !URL.canParse(API_BASE_URL)) {
+  console.error(`❌ Error: API_BASE_URL must be an http or https URL, got "${process.env.API_BASE_URL}".`);
+  process.exit(1);
+}
+
+const { values: options, positionals } = args;
+let folderPath = positionals[0];
+let concurrentArg = positionals[1];
+let manifestPath = options.manifest;
+
+if (options.resume) {
+  if (!fs.existsSync(options.resume)) {
+    console.error(`❌ Error: Manifest "${options.resume}" does not exist.`);
+    process.exit(1);
+  }
+
+  // When resuming, the folder comes from the manifest and a lone positional is the concurrency
+  manifestPath = options.resume;
+  if (positionals.length === 1 && /^\d+$/.test(positionals[0])) {
+    concurrentArg = positionals[0];
+    folderPath = undefined;
+  }
+  try {
+    const resumed = loadManifest(manifestPath);
+    folderPath = folderPath || resumed.folder;
+    options.mapping = options.mapping || resumed.mapping;
+  } catch (error) {
+    console.error(`❌ Error: Could not read manifest "${manifestPath}": ${error.message}`);
+    process.exit(1);
+  }
+}
+
+// With a mapping file, paths default to being relative to the mapping's folder
+if (!folderPath && options.mapping) {
+  folderPath = path.dirname(options.mapping);
+}
+
+if (!folderPath) {
   showUsage();
   process.exit(1);
 }
 
-const folderPath = process.argv[2];
-const concurrent = parseInt(process.argv[3]) || 3;
+const concurrent = parseInt(concurrentArg) || 3;
+const retries = options.retries !== undefined ? parseInt(options.retries) : 3;
+
+if (!Number.isInteger(retries) || retries < 0) {
+  console.error('❌ Error: --retries must be a non-negative integer.');
+  process.exit(1);
+}
+
+let parseOptions;
+try {
+  parseOptions = {
+    separator: options.separator || '-',
+    pattern: options['article-pattern'] ? new RegExp(options['article-pattern'], 'g') : undefined
+  };
+} catch (error) {
+  console.error(`❌ Error: Invalid --article-pattern: ${error.message}`);
+  process.exit(1);
+}
+
+if (options.mapping && !fs.existsSync(options.mapping)) {
+  console.error(`❌ Error: Mapping file "${options.mapping}" does not exist.`);
+  process.exit(1);
+}
+
+const collectOptions = {
+  parseOptions,
+  recursive: Boolean(options.recursive),
+  mappingPath: options.mapping
+};
 
 if (!fs.existsSync(folderPath)) {
   console.error(`❌ Error: Folder "${folderPath}" does not exist.`);
@@ -213,7 +613,16 @@ if (!fs.statSync(folderPath).isDirectory()) {
   process.exit(1);
 }
 
-batchUpload(folderPath, concurrent).catch(error => {
-  console.error('💥 Batch upload failed:', error.message);
-  process.exit(1);
-});
\ No newline at end of file
+if (options['dry-run']) {
+  dryRun(folderPath, collectOptions).then(problemCount => {
+    process.exit(problemCount > 0 ? 1 : 0);
+  }).catch(error => {
+    console.error('💥 Dry run failed:', error.message);
+    process.exit(1);
+  });
+} else {
+  batchUpload(folderPath, { concurrent, retries, manifestPath, ...collectOptions }).catch(error => {
+    console.error('💥 Batch upload failed:', error.message);
+    process.exit(1);
+  });
+}
@@ -0,0 +1,44 @@
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+
+const MANIFEST_VERSION = 1;
+const DEFAULT_MANIFEST_NAME = '.batch-upload-manifest.json';
+
+// Same SHA-256 the server uses for deduplication, so a hash match means a byte-identical file
+function hashFile(filePath) {
+  return crypto.createHash('sha256').update(fs.readFileSync(filePath)).digest('hex');
+}
+
+function defaultManifestPath(folderPath) {
+  return path.join(folderPath, DEFAULT_MANIFEST_NAME);
+}
+
+function createManifest(folderPath) {
+  const now = new Date().toISOString();
+  return {
+    version: MANIFEST_VERSION,
+    folder: path.resolve(folderPath),
+    createdAt: now,
+    updatedAt: now,
+    files: {}
+  };
+}
+
+function loadManifest(manifestPath) {
+  const manifest = JSON.parse(fs.readFileSync(manifestPath, 'utf8'));
+  if (manifest.version !== MANIFEST_VERSION || typeof manifest.files !== 'object') {
+    throw new Error(`${manifestPath} is not a batch upload manifest`);
+  }
+  return manifest;
+}
+
+// Written to a temporary file first, so a crash mid-write never leaves a corrupt manifest
+function saveManifest(manifestPath, manifest) {
+  manifest.updatedAt = new Date().toISOString();
+  const tempPath = `${manifestPath}.tmp`;
+  fs.writeFileSync(tempPath, JSON.stringify(manifest, null, 2));
+  fs.renameSync(tempPath, manifestPath);
+}
+
+module.exports = { hashFile, defaultManifestPath, createManifest, loadManifest, saveManifest };
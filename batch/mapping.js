@@ -0,0 +1,162 @@
+const fs = require('fs');
+const path = require('path');
+
+// Column names accepted in CSV headers and JSON objects
+const FIELD_ALIASES = {
+  file: ['file', 'path', 'filepath', 'filename'],
+  articleIds: ['articleids', 'article_ids', 'articles', 'articleid', 'article_id'],
+  sortOrder: ['sortorder', 'sort_order', 'order'],
+  altText: ['alttext', 'alt_text', 'alt']
+};
+
+// Minimal RFC 4180 parser: quoted fields may contain commas, quotes ("") and newlines
+function parseCsv(text) {
+  const rows = [];
+  let row = [];
+  let field = '';
+  let quoted = false;
+
+  for (let i = 0; i < text.length; i++) {
+    const char = text[i];
+
+    if (quoted) {
+      if (char === '"' && text[i + 1] === '"') {
+        field += '"';
+        i++;
+      } else if (char === '"') {
+        quoted = false;
+      } else {
+        field += char;
+      }
+    } else if (char === '"') {
+      quoted = true;
+    } else if (char === ',') {
+      row.push(field);
+      field = '';
+    } else if (char === '\n' || char === '\r') {
+      if (char === '\r' && text[i + 1] === '\n') {
+        i++;
+      }
+      row.push(field);
+      rows.push(row);
+      row = [];
+      field = '';
+    } else {
+      field += char;
+    }
+  }
+
+  if (field !== '' || row.length > 0) {
+    row.push(field);
+    rows.push(row);
+  }
+
+  return rows.filter(cells => cells.some(cell => cell.trim() !== ''));
+}
+
+function canonicalField(name) {
+  const normalized = String(name).trim().toLowerCase();
+  return Object.keys(FIELD_ALIASES).find(field => FIELD_ALIASES[field].includes(normalized));
+}
+
+function normalizeRecord(record) {
+  const normalized = {};
+  Object.entries(record).forEach(([key, value]) => {
+    const field = canonicalField(key);
+    if (field) {
+      normalized[field] = value;
+    }
+  });
+  return normalized;
+}
+
+// format is 'json' or 'csv'
+function parseRecords(content, format) {
+  const text = content.replace(/^﻿/, '');
+
+  if (format === 'json') {
+    const data = JSON.parse(text);
+    if (!Array.isArray(data)) {
+      throw new Error('JSON mapping must be an array of rows');
+    }
+    return data.map((record, index) => {
+      if (!record || typeof record !== 'object' || Array.isArray(record)) {
+        const kind = record === null ? 'null' : Array.isArray(record) ? 'an array' : `a ${typeof record}`;
+        return { line: index + 1, invalid: `row must be an object with "file" and "articleIds", not ${kind}` };
+      }
+      return { line: index + 1, ...normalizeRecord(record) };
+    });
+  }
+
+  const [header, ...rows] = parseCsv(text);
+  if (!header) {
+    return [];
+  }
+
+  const fields = header.map(canonicalField);
+  if (!fields.includes('file') || !fields.includes('articleIds')) {
+    throw new Error('CSV mapping needs a header with at least "file" and "articleIds" columns');
+  }
+
+  return rows.map((cells, index) => {
+    const record = { line: index + 2 };
+    fields.forEach((field, column) => {
+      if (field) {
+        record[field] = cells[column];
+      }
+    });
+    return record;
+  });
+}
+
+// Parses a CSV or JSON mapping of file → article IDs, sort order and alt text.
+// Article IDs are an array, or a string separated by ";" or ",".
+// Returns valid rows plus a list of row errors.
+function parseMapping(content, format) {
+  const rows = [];
+  const errors = [];
+
+  parseRecords(content, format).forEach(record => {
+    if (record.invalid) {
+      errors.push({ line: record.line, file: '', error: record.invalid });
+      return;
+    }
+
+    const file = typeof record.file === 'string' ? record.file.trim() : '';
+    const articleIds = (Array.isArray(record.articleIds)
+      ? record.articleIds.map(String)
+      : String(record.articleIds || '').split(/[;,]/))
+      .map(id => id.trim())
+      .filter(id => id !== '');
+
+    let sortOrder;
+    if (record.sortOrder !== undefined && String(record.sortOrder).trim() !== '') {
+      sortOrder = Number(record.sortOrder);
+      if (!Number.isInteger(sortOrder) || sortOrder < 0) {
+        errors.push({ line: record.line, file, error: `invalid sort order "${record.sortOrder}"` });
+        return;
+      }
+    }
+
+    if (!file) {
+      errors.push({ line: record.line, file, error: 'missing file path' });
+    } else if (articleIds.length === 0) {
+      errors.push({ line: record.line, file, error: 'no article IDs' });
+    } else {
+      const altText = typeof record.altText === 'string' && record.altText.trim() ? record.altText.trim() : undefined;
+      rows.push({ line: record.line, file, articleIds, sortOrder, altText });
+    }
+  });
+
+  return { rows, errors };
+}
+
+function mappingFormat(mappingPath) {
+  return path.extname(mappingPath).toLowerCase() === '.json' ? 'json' : 'csv';
+}
+
+function loadMapping(mappingPath) {
+  return parseMapping(fs.readFileSync(mappingPath, 'utf8'), mappingFormat(mappingPath));
+}
+
+module.exports = { parseCsv, parseMapping, mappingFormat, loadMapping };
@@ -0,0 +1,27 @@
+const path = require('path');
+
+const IMAGE_EXTENSIONS = ['.png', '.jpg', '.jpeg', '.gif'];
+
+// Article IDs come from the file name: split on `separator` (default hyphen), or, when
+// `pattern` is given, every match of that regex (its first capture group if it has one)
+function parseFilename(filename, { separator = '-', pattern } = {}) {
+  const name = path.parse(filename).name;
+
+  const articleIds = (pattern
+    ? Array.from(name.matchAll(pattern), match => match[1] !== undefined ? match[1] : match[0])
+    : name.split(separator))
+    .map(id => id.trim())
+    .filter(id => id !== '');
+
+  return {
+    filename: filename,
+    articleIds: articleIds,
+    isMultiple: articleIds.length > 1
+  };
+}
+
+function isImageFile(filename) {
+  return IMAGE_EXTENSIONS.includes(path.extname(filename).toLowerCase());
+}
+
+module.exports = { IMAGE_EXTENSIONS, parseFilename, isImageFile };
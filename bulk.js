@@ -0,0 +1,340 @@
+const fs = require('fs');
+const path = require('path');
+const yauzl = require('yauzl');
+const { v4: uuidv4 } = require('uuid');
+const { config } = require('./config');
+const { run, get, all, transaction } = require('./db');
+const { ingestImage } = require('./ingest');
+const { logger } = require('./logger');
+const { parseFilename, isImageFile } = require('./batch/naming');
+const { parseMapping, mappingFormat } = require('./batch/mapping');
+
+const BULK_UPLOAD_DIR = config.bulkUploadDir;
+const MAX_ENTRIES = 10000;
+// Same limit as single uploads
+const MAX_ENTRY_SIZE = config.maxUploadMb * 1024 * 1024;
+const MANIFEST_NAMES = ['manifest.csv', 'manifest.json'];
+
+function openArchive(archivePath) {
+  return new Promise((resolve, reject) => {
+    yauzl.open(archivePath, { lazyEntries: true }, (err, zipfile) => {
+      if (err) reject(err);
+      else resolve(zipfile);
+    });
+  });
+}
+
+// Calls onEntry(entry, zipfile) for every file entry, one at a time
+async function walkArchive(archivePath, onEntry) {
+  const zipfile = await openArchive(archivePath);
+
+  await new Promise((resolve, reject) => {
+    const fail = (error) => {
+      if (zipfile.isOpen) {
+        zipfile.close();
+      }
+      reject(error);
+    };
+
+    zipfile.on('error', fail);
+    zipfile.on('end', resolve);
+    zipfile.on('entry', entry => {
+      if (entry.fileName.endsWith('/')) {
+        zipfile.readEntry();
+        return;
+      }
+      Promise.resolve(onEntry(entry, zipfile)).then(() => zipfile.readEntry(), fail);
+    });
+    zipfile.readEntry();
+  });
+}
+
+function readEntry(zipfile, entry) {
+  return new Promise((resolve, reject) => {
+    zipfile.openReadStream(entry, (err, stream) => {
+      if (err) {
+        return reject(err);
+      }
+      const chunks = [];
+      stream.on('data', chunk => chunks.push(chunk));
+      stream.on('end', () => resolve(Buffer.concat(chunks)));
+      stream.on('error', reject);
+    });
+  });
+}
+
+// Metadata folders added by archivers, and hidden files
+function isIgnoredEntry(name) {
+  return name.startsWith('__MACOSX/') || name.split('/').some(part => part.startsWith('.'));
+}
+
+function normalizeEntryPath(file) {
+  return path.posix.normalize(file.replace(/\\/g, '/')).replace(/^(\.\/)+/, '');
+}
+
+// Reads the archive's table of contents and decides what happens to every entry:
+// article IDs come from a top-level manifest.csv / manifest.json when present, otherwise
+// from file names. Returns { source, entries } or { error, code }.
+async function planEntries(archivePath, { separator } = {}) {
+  const files = [];
+  const names = new Set();
+  let duplicate = null;
+  let manifest = null;
+
+  try {
+    await walkArchive(archivePath, async (entry, zipfile) => {
+      const name = entry.fileName;
+      if (isIgnoredEntry(name)) {
+        return;
+      }
+      if (names.has(name)) {
+        duplicate = duplicate || name;
+        return;
+      }
+      names.add(name);
+      if (MANIFEST_NAMES.includes(name.toLowerCase())) {
+        manifest = { name, content: (await readEntry(zipfile, entry)).toString('utf8') };
+        return;
+      }
+      files.push({ name, size: entry.uncompressedSize });
+      if (files.length > MAX_ENTRIES) {
+        throw new Error(`Archive has more than ${MAX_ENTRIES} entries`);
+      }
+    });
+  } catch (error) {
+    return { error: `Archive could not be read: ${error.message}`, code: 'INVALID_ARCHIVE' };
+  }
+  // Jobs find an entry's record by its name, so a repeated name would leave one of them
+  // without a result
+  if (duplicate) {
+    return { error: `Archive contains ${duplicate} more than once`, code: 'DUPLICATE_ENTRY' };
+  }
+
+  const entries = [];
+  const plan = (file, fields) => {
+    if (file.size > MAX_ENTRY_SIZE) {
+      entries.push({ name: file.name, articleIds: [], status: 'failed', error: `File is larger than ${config.maxUploadMb}MB`, code: 'FILE_TOO_LARGE' });
+    } else {
+      entries.push({ name: file.name, status: 'pending', ...fields });
+    }
+  };
+
+  if (!manifest) {
+    files.forEach(file => {
+      if (!isImageFile(file.name)) {
+        entries.push({ name: file.name, articleIds: [], status: 'skipped', error: 'Not a JPEG, PNG or GIF file' });
+        return;
+      }
+      const { articleIds } = parseFilename(path.posix.basename(file.name), { separator });
+      if (articleIds.length === 0) {
+        entries.push({ name: file.name, articleIds: [], status: 'failed', error: 'No article IDs in file name', code: 'NO_ARTICLE_IDS' });
+      } else {
+        plan(file, { articleIds });
+      }
+    });
+    return { source: 'filename', entries };
+  }
+
+  let mapping;
+  try {
+    mapping = parseMapping(manifest.content, mappingFormat(manifest.name));
+  } catch (error) {
+    return { error: `${manifest.name} could not be parsed: ${error.message}`, code: 'INVALID_MANIFEST' };
+  }
+
+  const filesByName = new Map(files.map(file => [file.name, file]));
+  const covered = new Set();
+
+  mapping.errors.forEach(rowError => {
+    entries.push({
+      name: rowError.file || `${manifest.name} line ${rowError.line}`,
+      articleIds: [],
+      status: 'failed',
+      error: `${manifest.name} line ${rowError.line}: ${rowError.error}`,
+      code: 'INVALID_MANIFEST_ROW'
+    });
+  });
+
+  mapping.rows.forEach(row => {
+    const name = normalizeEntryPath(row.file);
+    const file = filesByName.get(name);
+    const fields = { articleIds: row.articleIds, sortOrder: row.sortOrder, altText: row.altText };
+
+    if (covered.has(name)) {
+      entries.push({ name, ...fields, status: 'failed', error: `${manifest.name} line ${row.line}: file is listed more than once`, code: 'INVALID_MANIFEST_ROW' });
+    } else if (!file) {
+      entries.push({ name, ...fields, status: 'failed', error: `${manifest.name} line ${row.line}: file not found in archive`, code: 'MISSING_FILE' });
+    } else {
+      covered.add(name);
+      plan(file, fields);
+    }
+  });
+
+  files.filter(file => !covered.has(file.name)).forEach(file => {
+    entries.push({ name: file.name, articleIds: [], status: 'skipped', error: `Not listed in ${manifest.name}` });
+  });
+
+  return { source: manifest.name, entries };
+}
+
+// Jobs run one at a time, in the order they were queued
+let jobQueue = Promise.resolve();
+
+function enqueueJob(storage, jobId) {
+  jobQueue = jobQueue.then(() => processJob(storage, jobId)).catch(error => {
+    logger.error('Bulk upload job error', { jobId, error });
+  });
+  return jobQueue;
+}
+
+async function processJob(storage, jobId) {
+  const job = await get(`SELECT * FROM bulk_upload_jobs WHERE job_id = ?`, [jobId]);
+  if (!job || job.status === 'completed' || job.status === 'failed') {
+    return;
+  }
+
+  await run(
+    `UPDATE bulk_upload_jobs SET status = 'running', started_at = COALESCE(started_at, CURRENT_TIMESTAMP) WHERE id = ?`,
+    [job.id]
+  );
+
+  // Entries finished before a restart keep their result
+  const pending = await all(
+    `SELECT * FROM bulk_upload_entries WHERE job_id = ? AND status = 'pending'`,
+    [job.id]
+  );
+  const pendingByName = new Map(pending.map(entry => [entry.entry_name, entry]));
+
+  const finishEntry = (entry, fields) => run(
+    `UPDATE bulk_upload_entries
+     SET status = ?, image_uuid = ?, error = ?, code = ?, processed_at = CURRENT_TIMESTAMP
+     WHERE id = ?`,
+    [fields.status, fields.imageUuid || null, fields.error || null, fields.code || null, entry.id]
+  );
+
+  try {
+    await walkArchive(job.archive_path, async (zipEntry, zipfile) => {
+      const entry = pendingByName.get(zipEntry.fileName);
+      if (!entry) {
+        return;
+      }
+      pendingByName.delete(zipEntry.fileName);
+
+      try {
+        // Entries declare no type, so a misnamed file is stored as what its content is
+        const result = await ingestImage(storage, {
+          source: 'bulk',
+          buffer: await readEntry(zipfile, zipEntry),
+          originalName: path.posix.basename(entry.entry_name),
+          articleIds: JSON.parse(entry.article_ids),
+          sortOrder: entry.sort_order === null ? undefined : entry.sort_order,
+          altText: entry.alt_text
+        });
+
+        if (result.error) {
+          await finishEntry(entry, { status: 'failed', error: result.error, code: result.code });
+        } else {
+          await finishEntry(entry, { status: result.deduplicated ? 'deduplicated' : 'created', imageUuid: result.image.uuid });
+        }
+      } catch (entryError) {
+        logger.error('Bulk upload entry error', { jobId, entry: entry.entry_name, error: entryError });
+        await finishEntry(entry, { status: 'failed', error: 'Failed to upload file' });
+      }
+    });
+
+    for (const entry of pendingByName.values()) {
+      await finishEntry(entry, { status: 'failed', error: 'File not found in archive', code: 'MISSING_FILE' });
+    }
+
+    await run(
+      `UPDATE bulk_upload_jobs SET status = 'completed', finished_at = CURRENT_TIMESTAMP WHERE id = ?`,
+      [job.id]
+    );
+  } catch (error) {
+    logger.error('Bulk upload job error', { jobId, error });
+    await run(
+      `UPDATE bulk_upload_jobs SET status = 'failed', error = ?, finished_at = CURRENT_TIMESTAMP WHERE id = ?`,
+      [error.message, job.id]
+    );
+  }
+
+  fs.rm(job.archive_path, { force: true }, () => {});
+}
+
+// Plans the archive's entries, stores the job and queues it for processing.
+// The archive file is owned by the job from here on. Returns the job or { error, code }.
+async function createBulkJob(storage, archivePath, { archiveName, separator } = {}) {
+  const planned = await planEntries(archivePath, { separator });
+  if (planned.error) {
+    fs.rm(archivePath, { force: true }, () => {});
+    return planned;
+  }
+
+  const jobId = uuidv4();
+  await transaction(async () => {
+    const insert = await run(
+      `INSERT INTO bulk_upload_jobs (job_id, archive_name, archive_path, source) VALUES (?, ?, ?, ?)`,
+      [jobId, archiveName || null, archivePath, planned.source]
+    );
+
+    for (const entry of planned.entries) {
+      await run(
+        `INSERT INTO bulk_upload_entries (job_id, entry_name, article_ids, sort_order, alt_text, status, error, code)
+         VALUES (?, ?, ?, ?, ?, ?, ?, ?)`,
+        [insert.lastID, entry.name, JSON.stringify(entry.articleIds), entry.sortOrder ?? null, entry.altText || null,
+          entry.status, entry.error || null, entry.code || null]
+      );
+    }
+  });
+
+  enqueueJob(storage, jobId);
+  return getBulkJob(jobId);
+}
+
+// Picks up jobs that were queued or running when the server stopped
+async function resumeBulkJobs(storage) {
+  const jobs = await all(
+    `SELECT job_id FROM bulk_upload_jobs WHERE status IN ('queued', 'running') ORDER BY id`
+  );
+  jobs.forEach(job => enqueueJob(storage, job.job_id));
+  return jobs.length;
+}
+
+async function getBulkJob(jobId) {
+  const job = await get(`SELECT * FROM bulk_upload_jobs WHERE job_id = ?`, [jobId]);
+  if (!job) {
+    return null;
+  }
+
+  const entries = await all(
+    `SELECT * FROM bulk_upload_entries WHERE job_id = ? ORDER BY id`,
+    [job.id]
+  );
+
+  const counts = { total: entries.length, pending: 0, created: 0, deduplicated: 0, failed: 0, skipped: 0 };
+  entries.forEach(entry => {
+    counts[entry.status]++;
+  });
+
+  return {
+    jobId: job.job_id,
+    status: job.status,
+    archiveName: job.archive_name,
+    source: job.source,
+    error: job.error,
+    createdAt: job.created_at,
+    startedAt: job.started_at,
+    finishedAt: job.finished_at,
+    counts: counts,
+    entries: entries.map(entry => ({
+      name: entry.entry_name,
+      articleIds: JSON.parse(entry.article_ids),
+      status: entry.status,
+      uuid: entry.image_uuid,
+      error: entry.error,
+      code: entry.code
+    }))
+  };
+}
+
+module.exports = { BULK_UPLOAD_DIR, createBulkJob, resumeBulkJobs, getBulkJob };
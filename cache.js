@@ -0,0 +1,234 @@
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const { config } = require('./config');
+const { logger } = require('./logger');
+
+const MB = 1024 * 1024;
+
+// Byte-bounded LRU over a Map, which keeps insertion order: the first key is the
+// least recently used
+function createLru(maxBytes, onEvict = () => {}) {
+  const entries = new Map();
+  let bytes = 0;
+
+  return {
+    get(key) {
+      const entry = entries.get(key);
+      if (entry !== undefined) {
+        entries.delete(key);
+        entries.set(key, entry);
+      }
+      return entry;
+    },
+
+    set(key, entry) {
+      if (entries.has(key)) {
+        bytes -= entries.get(key).size;
+        entries.delete(key);
+      }
+      entries.set(key, entry);
+      bytes += entry.size;
+
+      while (bytes > maxBytes && entries.size > 0) {
+        const [oldestKey, oldest] = entries.entries().next().value;
+        entries.delete(oldestKey);
+        bytes -= oldest.size;
+        onEvict(oldestKey, oldest);
+      }
+    },
+
+    delete(key) {
+      const entry = entries.get(key);
+      if (entry !== undefined) {
+        entries.delete(key);
+        bytes -= entry.size;
+      }
+      return entry;
+    },
+
+    stats() {
+      return { entries: entries.size, bytes, maxBytes };
+    }
+  };
+}
+
+// Caches stored objects by storage key in memory and, when a directory is configured, on
+// disk. Keys are never reused for different content (images and variants are immutable
+// under their key), so entries are only evicted, never invalidated. The cache never reads
+// storage itself: the caller that misses loads the object and hands the complete body back,
+// and concurrent callers for the same key wait for that one load.
+function createImageCache({
+  memoryBytes = config.imageCacheMemoryMb * MB,
+  diskDirectory = config.imageCacheDir,
+  diskBytes = config.imageCacheDiskMb * MB,
+  maxObjectBytes = config.imageCacheMaxObjectMb * MB
+} = {}) {
+  const counters = { memoryHits: 0, diskHits: 0, misses: 0, coalesced: 0, memoryEvictions: 0, diskEvictions: 0, errors: 0 };
+  // Loads in progress by key: each resolves to the loaded body, or to null when it failed
+  const inflight = new Map();
+
+  const memory = createLru(memoryBytes, () => {
+    counters.memoryEvictions++;
+  });
+
+  const disk = diskDirectory && diskBytes > 0
+    ? createLru(diskBytes, (key, entry) => {
+      counters.diskEvictions++;
+      fs.rm(entry.file, { force: true }, () => {});
+      fs.rm(`${entry.file}.json`, { force: true }, () => {});
+    })
+    : null;
+
+  function diskFile(key) {
+    return path.join(diskDirectory, crypto.createHash('sha256').update(key).digest('hex'));
+  }
+
+  // Files left by a previous run are picked up again, oldest first
+  if (disk) {
+    fs.mkdirSync(diskDirectory, { recursive: true });
+    fs.readdirSync(diskDirectory)
+      .filter(name => /^[0-9a-f]{64}\.json$/.test(name))
+      .map(name => {
+        try {
+          const meta = JSON.parse(fs.readFileSync(path.join(diskDirectory, name), 'utf8'));
+          const file = path.join(diskDirectory, name.replace(/\.json$/, ''));
+          return { key: meta.key, file, size: fs.statSync(file).size, mtime: fs.statSync(file).mtimeMs };
+        } catch (error) {
+          return null;
+        }
+      })
+      .filter(entry => entry)
+      .sort((a, b) => a.mtime - b.mtime)
+      .forEach(entry => disk.set(entry.key, { file: entry.file, size: entry.size }));
+  }
+
+  async function writeToDisk(key, body) {
+    const file = diskFile(key);
+    const tmpFile = `${file}.${process.pid}.tmp`;
+    try {
+      await fs.promises.writeFile(tmpFile, body);
+      await fs.promises.rename(tmpFile, file);
+      await fs.promises.writeFile(`${file}.json`, JSON.stringify({ key }));
+      disk.set(key, { file, size: body.length });
+    } catch (error) {
+      counters.errors++;
+      logger.error('Image cache write error', { key, error });
+      fs.rm(tmpFile, { force: true }, () => {});
+    }
+  }
+
+  function keepInMemory(key, body) {
+    if (memoryBytes > 0) {
+      memory.set(key, { body, size: body.length });
+    }
+  }
+
+  function remember(key, body) {
+    if (body.length > maxObjectBytes) {
+      return;
+    }
+    keepInMemory(key, body);
+    if (disk && !disk.get(key)) {
+      writeToDisk(key, body);
+    }
+  }
+
+  async function readFromDisk(key) {
+    const entry = disk && disk.get(key);
+    if (!entry) {
+      return null;
+    }
+    try {
+      return await fs.promises.readFile(entry.file);
+    } catch (error) {
+      // Removed behind our back, treat as a miss
+      disk.delete(key);
+      return null;
+    }
+  }
+
+  async function lookup(key, { load }) {
+    const cached = memory.get(key);
+    if (cached) {
+      counters.memoryHits++;
+      return { body: cached.body };
+    }
+
+    if (inflight.has(key)) {
+      counters.coalesced++;
+      return { body: await inflight.get(key) };
+    }
+
+    // A loader claims the key before reading the disk, so two loaders never both miss it
+    let fill = null;
+    if (load) {
+      let settle;
+      const pending = new Promise(resolve => {
+        settle = resolve;
+      });
+      inflight.set(key, pending);
+      fill = loaded => {
+        if (inflight.get(key) === pending) {
+          inflight.delete(key);
+          if (loaded) {
+            remember(key, loaded);
+          }
+          settle(loaded || null);
+        }
+      };
+    }
+
+    const fromDisk = await readFromDisk(key);
+    if (fromDisk) {
+      counters.diskHits++;
+      if (fill) {
+        fill(fromDisk);
+      } else {
+        keepInMemory(key, fromDisk);
+      }
+      return { body: fromDisk };
+    }
+
+    counters.misses++;
+    return fill ? { body: null, fill } : { body: null };
+  }
+
+  return {
+    enabled: memoryBytes > 0 || Boolean(disk),
+    maxObjectBytes,
+
+    // Returns the cached body for key, or null on a miss. While another caller loads key,
+    // waits for that load instead.
+    async get(key) {
+      return (await lookup(key, { load: false })).body;
+    },
+
+    // Like get, but a miss makes the caller the loader of key: the result then has a
+    // fill(body) to call with the complete body, or with null when the load failed. Until
+    // then, get and lookup calls for key wait for it. A caller whose wait ends in a failed
+    // load gets a null body and no fill, and reads storage on its own.
+    lookup(key) {
+      return lookup(key, { load: true });
+    },
+
+    // For complete bodies read or produced anyway: streamed misses, rendered variants
+    set(key, body) {
+      remember(key, body);
+    },
+
+    stats() {
+      const lookups = counters.memoryHits + counters.diskHits + counters.misses + counters.coalesced;
+      return {
+        ...counters,
+        hitRatio: lookups === 0 ? null : (counters.memoryHits + counters.diskHits + counters.coalesced) / lookups,
+        inflight: inflight.size,
+        memory: memory.stats(),
+        disk: disk ? { directory: diskDirectory, ...disk.stats() } : null,
+        maxObjectBytes
+      };
+    }
+  };
+}
+
+module.exports = { createImageCache };
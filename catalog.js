@@ -0,0 +1,372 @@
+const { run, get, all, transaction } = require('./db');
+const { parseCsv } = require('./batch/mapping');
+const { logger } = require('./logger');
+
+const CATALOG_VERSION = 1;
+const CONFLICT_POLICIES = ['skip', 'overwrite'];
+
+const ARTICLE_FIELDS = ['article_id', 'name', 'description', 'category', 'family', 'attributes', 'active', 'created_at', 'updated_at'];
+const IMAGE_FIELDS = ['uuid', 'original_name', 's3_key', 's3_url', 'content_type', 'size', 'content_hash', 'width', 'height',
+  'dominant_color', 'has_alpha', 'placeholder', 'alt_text', 'created_at', 'deleted_at'];
+const LINK_FIELDS = ['article_id', 'image_uuid', 'sort_order', 'is_primary', 'created_at'];
+const ALIAS_FIELDS = ['uuid', 'image_uuid'];
+
+// CSV exports hold every record type in one table, told apart by the type column
+const CSV_COLUMNS = ['type', ...new Set([...ARTICLE_FIELDS, ...IMAGE_FIELDS, ...LINK_FIELDS, ...ALIAS_FIELDS])];
+const CSV_TYPES = { article: 'articles', image: 'images', link: 'links', alias: 'aliases' };
+
+function pick(row, fields) {
+  return Object.fromEntries(fields.map(field => [field, row[field] === undefined ? null : row[field]]));
+}
+
+// Dumps articles, images (with their storage keys), links and aliases. Variants are left
+// out, they are rendered again on request wherever the catalog is imported.
+async function exportCatalog({ storage } = {}) {
+  const articles = await all(`SELECT * FROM articles ORDER BY id`);
+  const images = await all(`SELECT * FROM images ORDER BY id`);
+  const links = await all(
+    `SELECT ai.article_id, i.uuid AS image_uuid, ai.sort_order, ai.is_primary, ai.created_at
+     FROM article_images ai
+     JOIN images i ON i.id = ai.image_id
+     ORDER BY ai.article_id, ai.sort_order, ai.id`
+  );
+  const aliases = await all(
+    `SELECT a.uuid, i.uuid AS image_uuid
+     FROM image_aliases a
+     JOIN images i ON i.id = a.image_id
+     ORDER BY a.uuid`
+  );
+
+  return {
+    version: CATALOG_VERSION,
+    exportedAt: new Date().toISOString(),
+    storage: storage ? storage.describe() : null,
+    articles: articles.map(row => ({
+      ...pick(row, ARTICLE_FIELDS),
+      attributes: row.attributes ? JSON.parse(row.attributes) : null,
+      active: Boolean(row.active)
+    })),
+    images: images.map(row => ({
+      ...pick(row, IMAGE_FIELDS),
+      has_alpha: row.has_alpha === null ? null : Boolean(row.has_alpha)
+    })),
+    links: links.map(row => ({ ...row, is_primary: Boolean(row.is_primary) })),
+    aliases: aliases
+  };
+}
+
+function csvCell(value) {
+  if (value === null || value === undefined) {
+    return '';
+  }
+  const text = typeof value === 'object' ? JSON.stringify(value) : String(value);
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+function catalogToCsv(catalog) {
+  const lines = [CSV_COLUMNS.join(',')];
+  Object.entries(CSV_TYPES).forEach(([type, section]) => {
+    catalog[section].forEach(record => {
+      lines.push([type, ...CSV_COLUMNS.slice(1).map(column => csvCell(record[column]))].join(','));
+    });
+  });
+  return `${lines.join('\r\n')}\r\n`;
+}
+
+// Reads a JSON or CSV export back into { articles, images, links, aliases }. Values from
+// CSV are strings, importCatalog converts them.
+function parseCatalog(content) {
+  const text = content.replace(/^﻿/, '');
+
+  if (text.trimStart().startsWith('{')) {
+    const data = JSON.parse(text);
+    if (data.version !== undefined && data.version > CATALOG_VERSION) {
+      throw new Error(`Catalog version ${data.version} is newer than this server supports (${CATALOG_VERSION})`);
+    }
+    return Object.fromEntries(Object.values(CSV_TYPES).map(section => [section, data[section] || []]));
+  }
+
+  const [header, ...rows] = parseCsv(text);
+  if (!header || header[0].trim() !== 'type') {
+    throw new Error('CSV catalog needs a header starting with a "type" column');
+  }
+
+  const catalog = Object.fromEntries(Object.values(CSV_TYPES).map(section => [section, []]));
+  rows.forEach((cells, index) => {
+    const section = CSV_TYPES[cells[0].trim()];
+    if (!section) {
+      throw new Error(`Line ${index + 2}: unknown record type "${cells[0]}"`);
+    }
+    const record = {};
+    header.slice(1).forEach((column, offset) => {
+      const cell = cells[offset + 1];
+      record[column.trim()] = cell === undefined || cell === '' ? null : cell;
+    });
+    catalog[section].push(record);
+  });
+  return catalog;
+}
+
+// Converters for values that may come from CSV text. Each throws on invalid input.
+function toText(value) {
+  return value === null || value === undefined || value === '' ? null : String(value);
+}
+
+function toInteger(value) {
+  if (value === null || value === undefined || value === '') {
+    return null;
+  }
+  const number = Number(value);
+  if (!Number.isInteger(number)) {
+    throw new Error(`"${value}" is not an integer`);
+  }
+  return number;
+}
+
+function toFlag(value) {
+  if (value === null || value === undefined || value === '') {
+    return null;
+  }
+  if (value === true || value === 1 || value === 'true' || value === '1') {
+    return 1;
+  }
+  if (value === false || value === 0 || value === 'false' || value === '0') {
+    return 0;
+  }
+  throw new Error(`"${value}" is not true or false`);
+}
+
+function toAttributes(value) {
+  if (value === null || value === undefined || value === '') {
+    return null;
+  }
+  const attributes = typeof value === 'string' ? JSON.parse(value) : value;
+  if (typeof attributes !== 'object' || Array.isArray(attributes)) {
+    throw new Error('attributes must be a JSON object');
+  }
+  return Object.keys(attributes).length > 0 ? JSON.stringify(attributes) : null;
+}
+
+const CONVERTERS = {
+  articles: { attributes: toAttributes, active: toFlag },
+  images: { size: toInteger, width: toInteger, height: toInteger, has_alpha: toFlag },
+  links: { sort_order: toInteger, is_primary: toFlag }
+};
+
+const REQUIRED = {
+  articles: ['article_id'],
+  images: ['uuid', 's3_key', 'content_type'],
+  links: ['article_id', 'image_uuid'],
+  aliases: ['uuid', 'image_uuid']
+};
+
+const SECTION_FIELDS = { articles: ARTICLE_FIELDS, images: IMAGE_FIELDS, links: LINK_FIELDS, aliases: ALIAS_FIELDS };
+
+// Returns { records, errors } with every value converted to what the columns store
+function normalizeCatalog(catalog) {
+  const records = {};
+  const errors = [];
+
+  Object.entries(SECTION_FIELDS).forEach(([section, fields]) => {
+    if (!Array.isArray(catalog[section])) {
+      errors.push(`${section} must be an array`);
+      records[section] = [];
+      return;
+    }
+
+    records[section] = catalog[section].map((source, index) => {
+      const record = {};
+      try {
+        fields.forEach(field => {
+          const convert = (CONVERTERS[section] || {})[field] || toText;
+          try {
+            record[field] = convert(source[field]);
+          } catch (error) {
+            throw new Error(`${field}: ${error.message}`);
+          }
+        });
+        const missing = REQUIRED[section].filter(field => record[field] === null);
+        if (missing.length > 0) {
+          throw new Error(`${missing.join(', ')} required`);
+        }
+      } catch (error) {
+        errors.push(`${section}[${index}] ${error.message}`);
+      }
+      return record;
+    });
+  });
+
+  return { records, errors };
+}
+
+async function importArticle(article, overwrite) {
+  const existing = await get(`SELECT id FROM articles WHERE article_id = ?`, [article.article_id]);
+  if (!existing) {
+    await run(
+      `INSERT INTO articles (article_id, name, description, category, family, attributes, active, created_at, updated_at)
+       VALUES (?, ?, ?, ?, ?, ?, ?, COALESCE(?, CURRENT_TIMESTAMP), ?)`,
+      [article.article_id, article.name, article.description, article.category, article.family,
+        article.attributes, article.active ?? 1, article.created_at, article.updated_at]
+    );
+    return 'created';
+  }
+  if (!overwrite) {
+    return 'skipped';
+  }
+  await run(
+    `UPDATE articles
+     SET name = ?, description = ?, category = ?, family = ?, attributes = ?, active = ?, updated_at = CURRENT_TIMESTAMP
+     WHERE id = ?`,
+    [article.name, article.description, article.category, article.family, article.attributes, article.active ?? 1, existing.id]
+  );
+  return 'updated';
+}
+
+async function importImage(image, overwrite) {
+  const values = IMAGE_FIELDS.filter(field => field !== 'uuid' && field !== 'created_at').map(field => image[field]);
+  const existing = await get(`SELECT id FROM images WHERE uuid = ?`, [image.uuid]);
+  if (!existing) {
+    await run(
+      `INSERT INTO images (uuid, original_name, s3_key, s3_url, content_type, size, content_hash, width, height,
+                           dominant_color, has_alpha, placeholder, alt_text, deleted_at, created_at)
+       VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, COALESCE(?, CURRENT_TIMESTAMP))`,
+      [image.uuid, ...values, image.created_at]
+    );
+    return 'created';
+  }
+  if (!overwrite) {
+    return 'skipped';
+  }
+  await run(
+    `UPDATE images
+     SET original_name = ?, s3_key = ?, s3_url = ?, content_type = ?, size = ?, content_hash = ?, width = ?, height = ?,
+         dominant_color = ?, has_alpha = ?, placeholder = ?, alt_text = ?, deleted_at = ?
+     WHERE id = ?`,
+    [...values, existing.id]
+  );
+  return 'updated';
+}
+
+async function importLink(link, overwrite) {
+  const image = await get(`SELECT id FROM images WHERE uuid = ?`, [link.image_uuid]);
+  if (!image) {
+    throw new Error(`Link ${link.article_id} → ${link.image_uuid} refers to an image that is neither in the catalog nor in the database`);
+  }
+  await run(`INSERT OR IGNORE INTO articles (article_id) VALUES (?)`, [link.article_id]);
+
+  const existing = await get(
+    `SELECT id FROM article_images WHERE article_id = ? AND image_id = ?`,
+    [link.article_id, image.id]
+  );
+  if (existing && !overwrite) {
+    return 'skipped';
+  }
+
+  // An article has one primary image: the catalog's wins on overwrite, the database's on skip
+  let isPrimary = link.is_primary === 1;
+  if (isPrimary && overwrite) {
+    await run(`UPDATE article_images SET is_primary = 0 WHERE article_id = ? AND is_primary = 1`, [link.article_id]);
+  } else if (isPrimary) {
+    isPrimary = !(await get(`SELECT 1 FROM article_images WHERE article_id = ? AND is_primary = 1`, [link.article_id]));
+  }
+
+  if (existing) {
+    await run(
+      `UPDATE article_images SET sort_order = COALESCE(?, sort_order), is_primary = ? WHERE id = ?`,
+      [link.sort_order, isPrimary ? 1 : 0, existing.id]
+    );
+    return 'updated';
+  }
+
+  await run(
+    `INSERT INTO article_images (article_id, image_id, sort_order, is_primary, created_at)
+     VALUES (?, ?, COALESCE(?, (SELECT COALESCE(MAX(sort_order), -1) + 1 FROM article_images WHERE article_id = ?)), ?,
+             COALESCE(?, CURRENT_TIMESTAMP))`,
+    [link.article_id, image.id, link.sort_order, link.article_id, isPrimary ? 1 : 0, link.created_at]
+  );
+  return 'created';
+}
+
+async function importAlias(alias, overwrite) {
+  const image = await get(`SELECT id FROM images WHERE uuid = ?`, [alias.image_uuid]);
+  if (!image) {
+    throw new Error(`Alias ${alias.uuid} refers to image ${alias.image_uuid}, which is neither in the catalog nor in the database`);
+  }
+
+  const existing = await get(`SELECT image_id FROM image_aliases WHERE uuid = ?`, [alias.uuid]);
+  if (!existing) {
+    await run(`INSERT INTO image_aliases (uuid, image_id) VALUES (?, ?)`, [alias.uuid, image.id]);
+    return 'created';
+  }
+  if (!overwrite) {
+    return 'skipped';
+  }
+  await run(`UPDATE image_aliases SET image_id = ? WHERE uuid = ?`, [image.id, alias.uuid]);
+  return 'updated';
+}
+
+// Copies the objects of imported images that `storage` does not have from `copyFrom`.
+// Without copyFrom they are only reported. Images whose record was kept (skip policy)
+// under a different key are left alone.
+async function syncObjects(images, storage, copyFrom) {
+  const result = { copiedObjects: [], missingObjects: [], copyErrors: [] };
+
+  for (const image of images) {
+    try {
+      const row = await get(`SELECT id, s3_key FROM images WHERE uuid = ?`, [image.uuid]);
+      if (!row || row.s3_key !== image.s3_key || await storage.head(image.s3_key)) {
+        continue;
+      }
+      if (!copyFrom) {
+        result.missingObjects.push(image.s3_key);
+        continue;
+      }
+
+      const { body } = await copyFrom.get(image.s3_key);
+      const stored = await storage.put(image.s3_key, body, { contentType: image.content_type });
+      await run(`UPDATE images SET s3_url = ? WHERE id = ?`, [stored.url, row.id]);
+      result.copiedObjects.push(image.s3_key);
+    } catch (error) {
+      logger.error('Failed to copy object', { key: image.s3_key, error });
+      result.copyErrors.push({ key: image.s3_key, error: error.message });
+    }
+  }
+
+  return result;
+}
+
+// Restores an export. All records are written in one transaction; an invalid catalog
+// writes nothing. onConflict decides what happens to records that already exist:
+// 'skip' keeps the database's, 'overwrite' replaces them with the catalog's.
+// Objects are copied afterwards, so running the import again retries failed copies.
+async function importCatalog(catalog, { onConflict = 'skip', storage, copyFrom } = {}) {
+  if (!CONFLICT_POLICIES.includes(onConflict)) {
+    throw new Error(`onConflict must be one of: ${CONFLICT_POLICIES.join(', ')}`);
+  }
+
+  const { records, errors } = normalizeCatalog(catalog);
+  if (errors.length > 0) {
+    const more = errors.length > 5 ? ` (and ${errors.length - 5} more)` : '';
+    const error = new Error(`Catalog is invalid: ${errors.slice(0, 5).join('; ')}${more}`);
+    error.errors = errors;
+    throw error;
+  }
+
+  const overwrite = onConflict === 'overwrite';
+  const importers = { articles: importArticle, images: importImage, links: importLink, aliases: importAlias };
+
+  const counts = await transaction(async () => {
+    const result = {};
+    for (const [section, importRecord] of Object.entries(importers)) {
+      result[section] = { created: 0, updated: 0, skipped: 0 };
+      for (const record of records[section]) {
+        result[section][await importRecord(record, overwrite)]++;
+      }
+    }
+    return result;
+  });
+
+  return { ...counts, ...(await syncObjects(records.images, storage, copyFrom)) };
+}
+
+module.exports = { CONFLICT_POLICIES, exportCatalog, catalogToCsv, parseCatalog, importCatalog };
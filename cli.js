@@ -0,0 +1,297 @@
+const fs = require('fs');
+const crypto = require('crypto');
+const { migrate, status } = require('./migrator');
+const { run, all, close } = require('./db');
+const { createStorage, createStorageAt } = require('./storage');
+const { extractMetadata } = require('./metadata');
+const { purgeDeletedImages } = require('./purge');
+const { expireDirectUploads } = require('./direct-upload');
+const { DEFAULT_MIN_AGE_MINUTES, reconcileStorage } = require('./reconcile');
+const { CONFLICT_POLICIES, exportCatalog, catalogToCsv, parseCatalog, importCatalog } = require('./catalog');
+const { SCOPES, createApiKey, listApiKeys, revokeApiKey } = require('./auth');
+
+async function migrateCommand(args) {
+  const subcommand = args[0] || 'status';
+  const dryRun = args.includes('--dry-run');
+
+  if (subcommand === 'up') {
+    const applied = await migrate({ dryRun, log: message => console.log(message) });
+
+    if (applied.length === 0) {
+      console.log('✅ Database schema is up to date.');
+    } else if (dryRun) {
+      console.log(`🔍 Dry run: ${applied.length} pending migration(s) shown above, nothing was changed.`);
+    } else {
+      console.log(`✅ Applied ${applied.length} migration(s).`);
+    }
+  } else if (subcommand === 'status') {
+    const migrations = await status();
+
+    console.log('📋 Migration status:');
+    migrations.forEach(migration => {
+      const state = migration.appliedAt ? `applied ${migration.appliedAt}` : 'pending';
+      console.log(`   ${migration.appliedAt ? '✅' : '⏳'} ${migration.name} (${state}) - ${migration.description}`);
+    });
+  } else {
+    throw new Error(`Unknown migrate command "${subcommand}"`);
+  }
+}
+
+// Fills in metadata and content hashes for images uploaded before they were recorded at
+// upload time. Upload deduplication only finds images that have a content hash.
+async function metadataCommand(args) {
+  if (args[0] !== 'backfill') {
+    throw new Error(`Unknown metadata command "${args[0]}"`);
+  }
+
+  const storage = createStorage();
+  const rows = await all(
+    `SELECT id, uuid, s3_key, width, content_hash FROM images
+     WHERE width IS NULL OR content_hash IS NULL
+     ORDER BY id`
+  );
+  let failed = 0;
+
+  console.log(`🔍 ${rows.length} image(s) without metadata or content hash`);
+
+  for (const row of rows) {
+    try {
+      const { body } = await storage.get(row.s3_key);
+      const filled = [];
+
+      if (!row.content_hash) {
+        const contentHash = crypto.createHash('sha256').update(body).digest('hex');
+        await run(`UPDATE images SET content_hash = ? WHERE id = ?`, [contentHash, row.id]);
+        filled.push(`hash ${contentHash.slice(0, 12)}`);
+      }
+
+      if (row.width === null) {
+        const metadata = await extractMetadata(body);
+        await run(
+          `UPDATE images SET width = ?, height = ?, dominant_color = ?, has_alpha = ?, placeholder = ? WHERE id = ?`,
+          [metadata.width, metadata.height, metadata.dominantColor, metadata.hasAlpha ? 1 : 0, metadata.placeholder, row.id]
+        );
+        filled.push(`${metadata.width}x${metadata.height}`);
+      }
+
+      console.log(`   ✅ ${row.uuid} ${filled.join(', ')}`);
+    } catch (error) {
+      failed++;
+      console.log(`   ❌ ${row.uuid}: ${error.message}`);
+    }
+  }
+
+  console.log(`📊 Updated ${rows.length - failed}, failed ${failed}`);
+}
+
+async function purgeCommand(args) {
+  const flagIndex = args.indexOf('--older-than-days');
+  const olderThanDays = flagIndex === -1 ? 0 : Number(args[flagIndex + 1]);
+
+  if (!Number.isInteger(olderThanDays) || olderThanDays < 0) {
+    throw new Error('--older-than-days must be a non-negative integer');
+  }
+
+  const storage = createStorage();
+  const result = await purgeDeletedImages(storage, { olderThanDays });
+  const expiredUploads = await expireDirectUploads(storage);
+
+  console.log(`🗑️  Purged ${result.purgedImages.length} image(s), deleted ${result.deletedObjects.length} storage object(s)`);
+  if (result.removedArticles.length > 0) {
+    console.log(`   Removed articles left without images: ${result.removedArticles.join(', ')}`);
+  }
+  result.storageErrors.forEach(failure => {
+    console.log(`   ❌ ${failure.key}: ${failure.error}`);
+  });
+  if (expiredUploads > 0) {
+    console.log(`   Removed ${expiredUploads} expired direct upload(s) that were never completed`);
+  }
+}
+
+function optionValue(args, name) {
+  const index = args.indexOf(name);
+  return index === -1 ? undefined : args[index + 1];
+}
+
+// Finds storage objects without records and records without objects; --fix cleans up
+async function reconcileCommand(args) {
+  const fix = args.includes('--fix');
+  const minAge = optionValue(args, '--min-age-minutes');
+  const minAgeMinutes = minAge === undefined ? DEFAULT_MIN_AGE_MINUTES : Number(minAge);
+
+  if (!Number.isInteger(minAgeMinutes) || minAgeMinutes < 0) {
+    throw new Error('--min-age-minutes must be a non-negative integer');
+  }
+
+  const storage = createStorage();
+  console.log(`🔍 Comparing ${storage.describe()} with the database...`);
+  const report = await reconcileStorage(storage, { fix, minAgeMinutes });
+
+  console.log(`📊 Scanned ${report.scannedObjects} storage object(s)`);
+  console.log(`   ${report.orphanedObjects.length} object(s) without a record`);
+  report.orphanedObjects.forEach(orphan => {
+    const marked = orphan.markedForCleanup ? ', marked for cleanup' : '';
+    console.log(`   🗃️  ${orphan.key} (${orphan.size} bytes, ${orphan.lastModified || 'unknown age'}${marked})`);
+  });
+  console.log(`   ${report.missingImages.length} image(s) whose object is missing`);
+  report.missingImages.forEach(image => {
+    console.log(`   ❌ ${image.uuid} ${image.key}${image.deleted ? ' (deleted)' : ''}`);
+  });
+  console.log(`   ${report.missingVariants.length} variant(s) whose object is missing`);
+  report.missingVariants.forEach(variant => {
+    console.log(`   ⚠️  ${variant.uuid} ${variant.variantKey}`);
+  });
+
+  if (!fix) {
+    if (report.orphanedObjects.length > 0 || report.missingVariants.length > 0) {
+      console.log('   Run with --fix to delete the unreferenced objects and drop the missing variants.');
+    }
+    return;
+  }
+
+  console.log(`🗑️  Deleted ${report.deletedObjects.length} object(s), removed ${report.removedVariants.length} variant record(s)`);
+  if (report.skippedRecent.length > 0) {
+    console.log(`   Kept ${report.skippedRecent.length} object(s) younger than ${minAgeMinutes} minute(s), they may belong to uploads in progress`);
+  }
+  report.storageErrors.forEach(failure => {
+    console.log(`   ❌ ${failure.key}: ${failure.error}`);
+  });
+}
+
+// Writes the catalog to --output, or to stdout so it can be piped
+async function exportCommand(args) {
+  const format = optionValue(args, '--format') || 'json';
+  const output = optionValue(args, '--output');
+
+  if (format !== 'json' && format !== 'csv') {
+    throw new Error('--format must be json or csv');
+  }
+
+  const catalog = await exportCatalog({ storage: createStorage() });
+  const content = format === 'csv' ? catalogToCsv(catalog) : `${JSON.stringify(catalog, null, 2)}\n`;
+
+  if (!output) {
+    process.stdout.write(content);
+    return;
+  }
+  fs.writeFileSync(output, content);
+  console.log(`✅ Exported ${catalog.articles.length} article(s), ${catalog.images.length} image(s) and ${catalog.links.length} link(s) to ${output}`);
+}
+
+async function importCommand(args) {
+  const file = args[0];
+  const onConflict = optionValue(args, '--on-conflict') || 'skip';
+  const copyFromLocation = optionValue(args, '--copy-from');
+
+  if (!file || file.startsWith('--')) {
+    throw new Error('Usage: import <file> [--on-conflict skip|overwrite] [--copy-from <location>]');
+  }
+  if (!CONFLICT_POLICIES.includes(onConflict)) {
+    throw new Error(`--on-conflict must be one of: ${CONFLICT_POLICIES.join(', ')}`);
+  }
+
+  const storage = createStorage();
+  const copyFrom = copyFromLocation ? createStorageAt(copyFromLocation) : null;
+  const catalog = parseCatalog(fs.readFileSync(file, 'utf8'));
+
+  // A fresh database gets its schema first
+  await migrate();
+
+  console.log(`📥 Importing ${file} into ${storage.describe()} (conflicts: ${onConflict})`);
+  if (copyFrom) {
+    console.log(`   Copying missing objects from ${copyFrom.describe()}`);
+  }
+  const result = await importCatalog(catalog, { onConflict, storage, copyFrom });
+
+  ['articles', 'images', 'links', 'aliases'].forEach(section => {
+    const counts = result[section];
+    console.log(`   ${section}: ${counts.created} created, ${counts.updated} updated, ${counts.skipped} skipped`);
+  });
+  if (copyFrom) {
+    console.log(`📦 Copied ${result.copiedObjects.length} object(s)`);
+  }
+  if (result.missingObjects.length > 0) {
+    console.log(`   ⚠️  ${result.missingObjects.length} image object(s) are not in storage, import again with --copy-from to copy them`);
+  }
+  result.copyErrors.forEach(failure => {
+    console.log(`   ❌ ${failure.key}: ${failure.error}`);
+  });
+}
+
+async function keysCommand(args) {
+  const subcommand = args[0];
+
+  if (subcommand === 'create') {
+    const name = optionValue(args, '--name');
+    const scopes = (optionValue(args, '--scopes') || 'read').split(',').map(scope => scope.trim()).filter(scope => scope);
+    const created = await createApiKey({ name, scopes });
+
+    console.log(`🔑 Created key ${created.keyId} (${created.name}) with scopes: ${created.scopes.join(', ')}`);
+    console.log('   Store it now, it is not shown again:');
+    console.log(`   ${created.key}`);
+  } else if (subcommand === 'list') {
+    const keys = await listApiKeys();
+
+    console.log(`📋 ${keys.length} API key(s):`);
+    keys.forEach(key => {
+      const state = key.revoked_at ? `revoked ${key.revoked_at}` : `last used ${key.last_used_at || 'never'}`;
+      console.log(`   ${key.revoked_at ? '🚫' : '🔑'} ${key.key_id} ${key.name} [${key.scopes.join(', ')}] (${state})`);
+    });
+  } else if (subcommand === 'revoke') {
+    const keyId = args[1];
+    if (!keyId) {
+      throw new Error('Usage: keys revoke <keyId>');
+    }
+    if (!(await revokeApiKey(keyId))) {
+      throw new Error(`No active key with id ${keyId}`);
+    }
+    console.log(`🚫 Revoked key ${keyId}`);
+  } else {
+    throw new Error(`Unknown keys command "${subcommand}"`);
+  }
+}
+
+const commands = {
+  migrate: migrateCommand,
+  metadata: metadataCommand,
+  purge: purgeCommand,
+  reconcile: reconcileCommand,
+  export: exportCommand,
+  import: importCommand,
+  keys: keysCommand
+};
+
+function showUsage() {
+  console.log('📋 Usage:');
+  console.log('   node cli.js <command> [options]');
+  console.log('');
+  console.log('🛠️  Commands:');
+  console.log('   migrate status            List migrations and whether they are applied');
+  console.log('   migrate up [--dry-run]    Apply pending migrations (or print their SQL)');
+  console.log('   metadata backfill         Fill in content hashes, dimensions, colors and placeholders for older images');
+  console.log('   purge [--older-than-days N]  Permanently remove soft-deleted images and expired direct uploads');
+  console.log('   reconcile [--fix] [--min-age-minutes N]  Find storage objects without records and records without objects');
+  console.log('   export [--format json|csv] [--output <file>]  Dump articles, images and links (stdout by default)');
+  console.log('   import <file> [--on-conflict skip|overwrite] [--copy-from s3://<bucket>|<directory>]');
+  console.log('                             Restore an export, copying missing objects from another storage');
+  console.log(`   keys create --name <name> --scopes <${SCOPES.join(',')}>  Create an API key`);
+  console.log('   keys list                 List API keys');
+  console.log('   keys revoke <keyId>       Revoke an API key');
+  console.log('');
+  console.log('   The database is taken from DB_PATH (default: articles_images.db).');
+}
+
+const [commandName, ...args] = process.argv.slice(2);
+const command = commands[commandName];
+
+if (!command) {
+  showUsage();
+  process.exit(1);
+}
+
+command(args)
+  .then(() => close())
+  .catch(error => {
+    console.error(`💥 ${commandName} failed:`, error.message);
+    process.exit(1);
+  });
@@ -0,0 +1,163 @@
+const fs = require('fs');
+const path = require('path');
+
+const CONTENT_TYPES = ['image/jpeg', 'image/png', 'image/gif'];
+const LOG_LEVELS = ['debug', 'info', 'warn', 'error'];
+// Longest lifetime S3 accepts for a presigned URL
+const MAX_SIGNED_URL_SECONDS = 7 * 24 * 3600;
+
+class ConfigError extends Error {
+  constructor(problems) {
+    super(`Invalid configuration:\n${problems.map(problem => `  - ${problem}`).join('\n')}`);
+    this.problems = problems;
+  }
+}
+
+// Parsers take a value from the environment (always a string) or the config file (any JSON
+// type) and return { value } or { error }
+
+function string(value) {
+  return typeof value === 'string' ? { value } : { error: 'must be a string' };
+}
+
+function integer({ min, max }) {
+  return value => {
+    const number = typeof value === 'string' && /^-?\d+$/.test(value.trim()) ? Number(value) : value;
+    if (!Number.isInteger(number) || number < min || number > max) {
+      return { error: `must be a whole number from ${min} to ${max}` };
+    }
+    return { value: number };
+  };
+}
+
+function megabytes({ allowZero }) {
+  return value => {
+    const number = typeof value === 'string' && value.trim() !== '' ? Number(value) : value;
+    if (typeof number !== 'number' || !Number.isFinite(number) || number < 0 || (!allowZero && number === 0)) {
+      return { error: `must be a number of megabytes${allowZero ? ', 0 or more' : ' above 0'}` };
+    }
+    return { value: number };
+  };
+}
+
+function boolean(value) {
+  if (value === true || value === 'true') {
+    return { value: true };
+  }
+  if (value === false || value === 'false') {
+    return { value: false };
+  }
+  return { error: 'must be true or false' };
+}
+
+function oneOf(choices) {
+  return value => choices.includes(value) ? { value } : { error: `must be one of: ${choices.join(', ')}` };
+}
+
+// A comma-separated string or an array, every entry one of choices
+function listOf(choices) {
+  return value => {
+    const entries = typeof value === 'string' ? value.split(',').map(entry => entry.trim()).filter(Boolean) : value;
+    if (!Array.isArray(entries) || entries.length === 0 || entries.some(entry => !choices.includes(entry))) {
+      return { error: `must be a list of one or more of: ${choices.join(', ')}` };
+    }
+    return { value: [...new Set(entries)] };
+  };
+}
+
+// Every setting, by the environment variable that sets it. The config file uses the same
+// names; the environment wins over the file, the file over the default.
+const SETTINGS = {
+  PORT: { key: 'port', parse: integer({ min: 1, max: 65535 }), default: 5000 },
+  DB_PATH: { key: 'dbPath', parse: string, default: 'articles_images.db' },
+  STORAGE_DRIVER: { key: 'storageDriver', parse: oneOf(['s3', 'local']), default: 's3' },
+  S3_BUCKET: { key: 's3Bucket', parse: string, default: 'hetproductimages' },
+  AWS_REGION: { key: 'awsRegion', parse: string, default: 'us-east-1' },
+  LOCAL_STORAGE_DIR: { key: 'localStorageDir', parse: string, default: path.join(__dirname, 'uploads') },
+  STORAGE_SIGNING_SECRET: { key: 'storageSigningSecret', parse: string, secret: true },
+  SIGNED_URL_EXPIRY_SECONDS: { key: 'signedUrlExpirySeconds', parse: integer({ min: 1, max: MAX_SIGNED_URL_SECONDS }), default: 3600 },
+  REQUIRE_API_KEY: { key: 'requireApiKey', parse: boolean, default: true },
+  PUBLIC_IMAGE_SERVING: { key: 'publicImageServing', parse: boolean, default: true },
+  MIGRATE_ON_BOOT: { key: 'migrateOnBoot', parse: boolean, default: true },
+  MAX_UPLOAD_MB: { key: 'maxUploadMb', parse: megabytes({ allowZero: false }), default: 10 },
+  MAX_ARCHIVE_MB: { key: 'maxArchiveMb', parse: megabytes({ allowZero: false }), default: 500 },
+  ALLOWED_CONTENT_TYPES: { key: 'allowedContentTypes', parse: listOf(CONTENT_TYPES), default: CONTENT_TYPES },
+  IMAGE_CACHE_MEMORY_MB: { key: 'imageCacheMemoryMb', parse: megabytes({ allowZero: true }), default: 64 },
+  IMAGE_CACHE_DIR: { key: 'imageCacheDir', parse: string },
+  IMAGE_CACHE_DISK_MB: { key: 'imageCacheDiskMb', parse: megabytes({ allowZero: true }), default: 1024 },
+  IMAGE_CACHE_MAX_OBJECT_MB: { key: 'imageCacheMaxObjectMb', parse: megabytes({ allowZero: true }), default: 10 },
+  BULK_UPLOAD_DIR: { key: 'bulkUploadDir', parse: string, default: path.join(__dirname, 'bulk-uploads') },
+  LOG_LEVEL: { key: 'logLevel', parse: oneOf(LOG_LEVELS), default: 'info' }
+};
+
+// Reads CONFIG_FILE, or config.json next to this file when it exists. Returns {} without one.
+function readConfigFile(env, problems) {
+  const file = env.CONFIG_FILE || path.join(__dirname, 'config.json');
+  if (!env.CONFIG_FILE && !fs.existsSync(file)) {
+    return {};
+  }
+
+  let values;
+  try {
+    values = JSON.parse(fs.readFileSync(file, 'utf8'));
+  } catch (error) {
+    problems.push(`Config file ${file} could not be read: ${error.message}`);
+    return {};
+  }
+  if (!values || typeof values !== 'object' || Array.isArray(values)) {
+    problems.push(`Config file ${file} must contain a JSON object`);
+    return {};
+  }
+
+  Object.keys(values)
+    .filter(name => !SETTINGS[name])
+    .forEach(name => problems.push(`Config file ${file}: unknown setting ${name}`));
+  return values;
+}
+
+// Builds the configuration from env and the config file. Throws a ConfigError listing every
+// invalid value, so all of them can be fixed at once.
+function loadConfig(env = process.env) {
+  const problems = [];
+  const file = readConfigFile(env, problems);
+  const config = {};
+
+  Object.entries(SETTINGS).forEach(([name, setting]) => {
+    // An empty variable counts as unset
+    const fromEnv = env[name] !== undefined && env[name] !== '';
+    const raw = fromEnv ? env[name] : file[name];
+
+    if (raw === undefined || raw === null) {
+      config[setting.key] = setting.default;
+      return;
+    }
+
+    const parsed = setting.parse(raw);
+    if (parsed.error) {
+      const shown = setting.secret ? '' : ` (got ${JSON.stringify(raw)})`;
+      problems.push(`${name} ${parsed.error}${shown}${fromEnv ? '' : ', in the config file'}`);
+      return;
+    }
+    config[setting.key] = parsed.value;
+  });
+
+  if (problems.length > 0) {
+    throw new ConfigError(problems);
+  }
+  return Object.freeze(config);
+}
+
+// Loaded once, when first required, so a bad value stops the server or CLI before it opens
+// the database
+let config;
+try {
+  config = loadConfig();
+} catch (error) {
+  if (!(error instanceof ConfigError)) {
+    throw error;
+  }
+  process.stderr.write(`${error.message}\n`);
+  process.exit(1);
+}
+
+module.exports = { config, loadConfig, ConfigError };
@@ -0,0 +1,127 @@
+const { AsyncLocalStorage } = require('async_hooks');
+const sqlite3 = require('sqlite3').verbose();
+const { config } = require('./config');
+const { metrics } = require('./metrics');
+
+const db = new sqlite3.Database(config.dbPath);
+
+// There is one connection, so a statement sent while a transaction is open would run inside
+// it (and be undone with it). Statements and transactions therefore take turns: a statement
+// waits for the open transaction, except the transaction's own statements, which run directly.
+let queue = Promise.resolve();
+// Holds { open } for the code of the transaction that has the connection
+const transactionScope = new AsyncLocalStorage();
+
+function enqueue(task) {
+  const result = queue.then(task);
+  queue = result.catch(() => {});
+  return result;
+}
+
+function schedule(task) {
+  const scope = transactionScope.getStore();
+  return scope && scope.open ? task() : enqueue(task);
+}
+
+// Records the query's duration, and counts it as failed when it ends with an error
+function timed(operation) {
+  const done = metrics.dbQueryDuration.startTimer({ operation });
+  return err => {
+    done();
+    if (err) {
+      metrics.dbErrors.inc({ operation });
+    }
+  };
+}
+
+function run(sql, params = []) {
+  return schedule(() => {
+    const finish = timed('run');
+    return new Promise((resolve, reject) => {
+      db.run(sql, params, function(err) {
+        finish(err);
+        if (err) reject(err);
+        else resolve({ lastID: this.lastID, changes: this.changes });
+      });
+    });
+  });
+}
+
+function get(sql, params = []) {
+  return schedule(() => {
+    const finish = timed('get');
+    return new Promise((resolve, reject) => {
+      db.get(sql, params, (err, row) => {
+        finish(err);
+        if (err) reject(err);
+        else resolve(row);
+      });
+    });
+  });
+}
+
+function all(sql, params = []) {
+  return schedule(() => {
+    const finish = timed('all');
+    return new Promise((resolve, reject) => {
+      db.all(sql, params, (err, rows) => {
+        finish(err);
+        if (err) reject(err);
+        else resolve(rows);
+      });
+    });
+  });
+}
+
+function exec(sql) {
+  return schedule(() => {
+    const finish = timed('exec');
+    return new Promise((resolve, reject) => {
+      db.exec(sql, (err) => {
+        finish(err);
+        if (err) reject(err);
+        else resolve();
+      });
+    });
+  });
+}
+
+// Runs fn between BEGIN and COMMIT with the connection to itself; statements from anywhere
+// else wait until it has committed or rolled back. Nesting is not supported: fn must not
+// call transaction() again, that would wait for itself.
+function transaction(fn) {
+  if (transactionScope.getStore()?.open) {
+    return Promise.reject(new Error('transaction() cannot be nested'));
+  }
+
+  return enqueue(() => {
+    const scope = { open: true };
+    return transactionScope.run(scope, async () => {
+      try {
+        await exec('BEGIN');
+        try {
+          const value = await fn();
+          await exec('COMMIT');
+          return value;
+        } catch (err) {
+          await exec('ROLLBACK').catch(() => {});
+          throw err;
+        }
+      } finally {
+        // Callbacks fn left behind (timers, unawaited calls) queue up like everything else
+        scope.open = false;
+      }
+    });
+  });
+}
+
+function close() {
+  return enqueue(() => new Promise((resolve, reject) => {
+    db.close((err) => {
+      if (err) reject(err);
+      else resolve();
+    });
+  }));
+}
+
+module.exports = { db, run, get, all, exec, transaction, close };
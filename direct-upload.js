@@ -0,0 +1,204 @@
+const { v4: uuidv4 } = require('uuid');
+const { config } = require('./config');
+const { run, get, all } = require('./db');
+const { ingestImage } = require('./ingest');
+const { formatForContentType } = require('./filetype');
+const { logger } = require('./logger');
+
+// Lifetime of the pending record: the upload has to be completed within it
+const UPLOAD_TTL_SECONDS = 3600;
+// Lifetime of the upload URL. It stays usable after the upload is closed, and whatever it
+// stores then is removed once it has expired (see closeUpload), so it is kept short.
+const UPLOAD_URL_TTL_SECONDS = 15 * 60;
+// Also the limit for multipart uploads. Whole bytes: busboy truncates a file without an
+// error at a fractional limit.
+const MAX_UPLOAD_SIZE = Math.floor(config.maxUploadMb * 1024 * 1024);
+
+// Creates a pending upload and a presigned target the client sends the file to.
+// Returns { upload, target } or { error, code }.
+async function initiateUpload(storage, { filename, contentType, size, articleIds, sortOrder, altText }, { baseUrl } = {}) {
+  const format = formatForContentType(contentType);
+  if (!format || !config.allowedContentTypes.includes(format.contentType)) {
+    return { code: 'UNSUPPORTED_FILE_TYPE', error: `contentType must be one of: ${config.allowedContentTypes.join(', ')}` };
+  }
+  if (!Number.isInteger(size) || size <= 0) {
+    return { code: 'INVALID_SIZE', error: 'size must be the file size in bytes' };
+  }
+  if (size > MAX_UPLOAD_SIZE) {
+    return { code: 'FILE_TOO_LARGE', error: `File is larger than ${config.maxUploadMb}MB` };
+  }
+
+  const uploadId = uuidv4();
+  const imageUuid = uuidv4();
+  // Staged outside the image keys, so a repeated PUT cannot replace a validated image
+  const key = `incoming/${uploadId}${format.extension}`;
+
+  const target = await storage.getUploadTarget(key, {
+    contentType: format.contentType,
+    expiresIn: UPLOAD_URL_TTL_SECONDS,
+    baseUrl: baseUrl
+  });
+
+  await run(
+    `INSERT INTO direct_uploads (upload_id, image_uuid, s3_key, original_name, content_type, size,
+                                 article_ids, sort_order, alt_text, expires_at, url_expires_at)
+     VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, datetime('now', ?), datetime('now', ?))`,
+    [uploadId, imageUuid, key, filename || null, format.contentType, size,
+      JSON.stringify(articleIds), sortOrder ?? null, altText || null,
+      `+${UPLOAD_TTL_SECONDS} seconds`, `+${UPLOAD_URL_TTL_SECONDS} seconds`]
+  );
+
+  return { upload: await getUpload(uploadId), target };
+}
+
+function getUpload(uploadId) {
+  return get(
+    `SELECT *, expires_at < datetime('now') AS expired FROM direct_uploads WHERE upload_id = ?`,
+    [uploadId]
+  );
+}
+
+// Returns false when storage refused, after logging it
+function deleteStagedObject(storage, upload) {
+  return storage.delete(upload.s3_key).then(() => true, error => {
+    logger.error('Failed to delete staged upload', { uploadId: upload.upload_id, key: upload.s3_key, error });
+    return false;
+  });
+}
+
+// While its URL is still valid, a closed upload is due for one more removal of its staged
+// key once the URL has expired: a file sent to it meanwhile would otherwise stay behind.
+// Uploads from before url_expires_at had URLs valid until expires_at.
+async function closeUpload(storage, upload, fields) {
+  if (fields.deleteObject) {
+    await deleteStagedObject(storage, upload);
+  }
+
+  await run(
+    `UPDATE direct_uploads
+     SET status = ?, image_uuid = COALESCE(?, image_uuid), deduplicated = ?, error = ?, code = ?,
+         completed_at = CURRENT_TIMESTAMP,
+         staged_cleanup_at = CASE WHEN COALESCE(url_expires_at, expires_at) > datetime('now')
+                                  THEN COALESCE(url_expires_at, expires_at) END
+     WHERE id = ?`,
+    [fields.status, fields.imageUuid || null, fields.deduplicated === undefined ? null : (fields.deduplicated ? 1 : 0),
+      fields.error || null, fields.code || null, upload.id]
+  );
+}
+
+async function finishUpload(storage, uploadId) {
+  const upload = await getUpload(uploadId);
+  if (!upload) {
+    return { code: 'UPLOAD_NOT_FOUND', error: 'Upload not found' };
+  }
+
+  // The URL may have been used again after the upload was closed; the staged key holds
+  // nothing that is still needed then
+  if (upload.status !== 'pending') {
+    await deleteStagedObject(storage, upload);
+  }
+
+  // Completing twice returns the first result, so clients can retry safely
+  if (upload.status === 'completed') {
+    const image = await get(`SELECT * FROM images WHERE uuid = ?`, [upload.image_uuid]);
+    if (!image) {
+      return { code: 'IMAGE_PURGED', error: 'The image this upload created has been purged since' };
+    }
+    return { upload, image };
+  }
+  if (upload.status !== 'pending') {
+    return { code: upload.code, error: upload.error };
+  }
+
+  if (upload.expired) {
+    const error = { code: 'UPLOAD_EXPIRED', error: 'Upload URL expired before the upload was completed' };
+    await closeUpload(storage, upload, { status: 'expired', deleteObject: true, ...error });
+    return error;
+  }
+
+  // A missing object leaves the upload pending, the client may still send it
+  const object = await storage.head(upload.s3_key);
+  if (!object) {
+    return { code: 'OBJECT_NOT_FOUND', error: 'No file has been uploaded to the upload URL yet' };
+  }
+
+  let rejection = null;
+  if (object.contentLength !== upload.size) {
+    rejection = { code: 'SIZE_MISMATCH', error: `Uploaded file has ${object.contentLength} bytes, ${upload.size} were declared` };
+  } else if (object.contentType && formatForContentType(object.contentType)?.contentType !== upload.content_type) {
+    rejection = { code: 'CONTENT_TYPE_MISMATCH', error: `Uploaded file was stored as ${object.contentType}, ${upload.content_type} was declared` };
+  }
+  if (rejection) {
+    await closeUpload(storage, upload, { status: 'rejected', deleteObject: true, ...rejection });
+    return rejection;
+  }
+
+  const { body } = await storage.get(upload.s3_key);
+  const result = await ingestImage(storage, {
+    source: 'direct',
+    buffer: body,
+    originalName: upload.original_name,
+    declaredContentType: upload.content_type,
+    articleIds: JSON.parse(upload.article_ids),
+    sortOrder: upload.sort_order === null ? undefined : upload.sort_order,
+    altText: upload.alt_text,
+    staged: { uuid: upload.image_uuid, key: upload.s3_key }
+  });
+
+  if (result.error) {
+    await closeUpload(storage, upload, { status: 'rejected', deleteObject: true, error: result.error, code: result.code });
+    return { error: result.error, code: result.code };
+  }
+
+  // A byte-identical image already exists, so the staged copy is not needed
+  await closeUpload(storage, upload, {
+    status: 'completed',
+    imageUuid: result.image.uuid,
+    deduplicated: result.deduplicated,
+    deleteObject: result.deduplicated
+  });
+
+  return { upload: await getUpload(uploadId), ...result };
+}
+
+// Completions download the object to validate it, so they run one at a time to keep
+// memory flat no matter how many clients finish at once
+let completionQueue = Promise.resolve();
+
+// Verifies the uploaded object against the pending record and turns it into an image.
+// Returns { upload, image, deduplicated, newArticleIds, contentHash } or { error, code }.
+function completeUpload(storage, uploadId) {
+  const result = completionQueue.then(() => finishUpload(storage, uploadId));
+  completionQueue = result.catch(() => {});
+  return result;
+}
+
+// Removes objects of uploads that were never completed, and anything sent to the URL of a
+// closed upload before it expired. Returns the number of uploads expired.
+async function expireDirectUploads(storage) {
+  const uploads = await all(
+    `SELECT * FROM direct_uploads WHERE status = 'pending' AND expires_at < datetime('now')`
+  );
+
+  for (const upload of uploads) {
+    await closeUpload(storage, upload, {
+      status: 'expired',
+      deleteObject: true,
+      code: 'UPLOAD_EXPIRED',
+      error: 'Upload URL expired before the upload was completed'
+    });
+  }
+
+  const closed = await all(
+    `SELECT * FROM direct_uploads
+     WHERE status != 'pending' AND staged_cleanup_at IS NOT NULL AND staged_cleanup_at < datetime('now')`
+  );
+  for (const upload of closed) {
+    if (await deleteStagedObject(storage, upload)) {
+      await run(`UPDATE direct_uploads SET staged_cleanup_at = NULL WHERE id = ?`, [upload.id]);
+    }
+  }
+  return uploads.length;
+}
+
+module.exports = { MAX_UPLOAD_SIZE, initiateUpload, completeUpload, expireDirectUploads };
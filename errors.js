@@ -0,0 +1,67 @@
+const multer = require('multer');
+const { logger } = require('./logger');
+
+// Every error response is { error, code, requestId }. Handlers that do not name a code get
+// the one for their status.
+const STATUS_CODES = {
+  400: 'BAD_REQUEST',
+  401: 'UNAUTHORIZED',
+  403: 'FORBIDDEN',
+  404: 'NOT_FOUND',
+  409: 'CONFLICT',
+  411: 'LENGTH_REQUIRED',
+  413: 'PAYLOAD_TOO_LARGE',
+  500: 'INTERNAL_ERROR',
+  503: 'SERVICE_UNAVAILABLE'
+};
+
+function defaultErrorCode(status) {
+  return STATUS_CODES[status] || (status >= 500 ? 'INTERNAL_ERROR' : 'BAD_REQUEST');
+}
+
+// Multer reports limits with its own codes; a few get clearer messages
+const MULTER_ERRORS = {
+  LIMIT_FILE_SIZE: { status: 413, code: 'FILE_TOO_LARGE', message: 'File is larger than the upload limit' },
+  LIMIT_UNEXPECTED_FILE: { status: 400, code: 'UNEXPECTED_FILE_FIELD', message: 'Send exactly one file, in the "file" field' },
+  LIMIT_FILE_COUNT: { status: 400, code: 'UNEXPECTED_FILE_FIELD', message: 'Send exactly one file, in the "file" field' }
+};
+
+// Maps an error to { status, code, message }, or null when it is not the client's fault
+function describeError(error) {
+  if (error instanceof multer.MulterError) {
+    return MULTER_ERRORS[error.code] || { status: 400, code: 'INVALID_MULTIPART', message: error.message };
+  }
+  // Body parser errors carry a type and a 4xx status
+  if (error.type === 'entity.parse.failed') {
+    return { status: 400, code: 'INVALID_JSON', message: 'Request body is not valid JSON' };
+  }
+  if (error.type === 'entity.too.large') {
+    return { status: 413, code: 'PAYLOAD_TOO_LARGE', message: 'Request body is too large' };
+  }
+  if (error.type && error.status >= 400 && error.status < 500) {
+    return { status: error.status, code: defaultErrorCode(error.status), message: error.message };
+  }
+  return null;
+}
+
+// Last in the chain: answers unmatched routes
+function notFound(req, res) {
+  res.status(404).json({ error: `No route for ${req.method} ${req.path}`, code: 'NOT_FOUND' });
+}
+
+// Express error middleware for everything passed to next(error) or thrown by a route
+function errorHandler(error, req, res, next) {
+  if (res.headersSent) {
+    return next(error);
+  }
+
+  const described = describeError(error);
+  if (!described) {
+    logger.error('Unhandled request error', { error });
+    return res.status(500).json({ error: 'Internal server error', code: 'INTERNAL_ERROR' });
+  }
+
+  res.status(described.status).json({ error: described.message, code: described.code });
+}
+
+module.exports = { defaultErrorCode, notFound, errorHandler };
@@ -0,0 +1,208 @@
+// Detects image formats from their magic bytes and walks the container structure to
+// find where the image really ends. Data after that point means a truncated file
+// (end marker missing) or a polyglot (another file appended behind the image).
+
+const FORMATS = {
+  png: { contentType: 'image/png', extension: '.png' },
+  jpeg: { contentType: 'image/jpeg', extension: '.jpg' },
+  gif: { contentType: 'image/gif', extension: '.gif' }
+};
+
+const PNG_SIGNATURE = Buffer.from([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a]);
+
+class TruncatedError extends Error {}
+
+function detectFormat(buffer) {
+  if (buffer.length >= 8 && buffer.subarray(0, 8).equals(PNG_SIGNATURE)) {
+    return 'png';
+  }
+  if (buffer.length >= 3 && buffer[0] === 0xff && buffer[1] === 0xd8 && buffer[2] === 0xff) {
+    return 'jpeg';
+  }
+  if (buffer.length >= 6 && ['GIF87a', 'GIF89a'].includes(buffer.toString('latin1', 0, 6))) {
+    return 'gif';
+  }
+  return null;
+}
+
+function need(buffer, offset, length) {
+  if (offset + length > buffer.length) {
+    throw new TruncatedError();
+  }
+}
+
+// Returns the offset just past the IEND chunk
+function pngEnd(buffer) {
+  let offset = PNG_SIGNATURE.length;
+
+  while (true) {
+    need(buffer, offset, 8);
+    const length = buffer.readUInt32BE(offset);
+    const type = buffer.toString('latin1', offset + 4, offset + 8);
+
+    if (offset === PNG_SIGNATURE.length && type !== 'IHDR') {
+      throw new TruncatedError();
+    }
+
+    need(buffer, offset, 12 + length);
+    offset += 12 + length;
+
+    if (type === 'IEND') {
+      return offset;
+    }
+  }
+}
+
+// Returns the offset just past the EOI marker
+function jpegEnd(buffer) {
+  let offset = 2;
+
+  while (true) {
+    need(buffer, offset, 2);
+    if (buffer[offset] !== 0xff) {
+      throw new TruncatedError();
+    }
+
+    const marker = buffer[offset + 1];
+    offset += 2;
+
+    if (marker === 0xff) {
+      // Fill byte before a marker
+      offset -= 1;
+      continue;
+    }
+    if (marker === 0xd9) {
+      return offset;
+    }
+    if ((marker >= 0xd0 && marker <= 0xd7) || marker === 0x01) {
+      continue;
+    }
+
+    need(buffer, offset, 2);
+    offset += buffer.readUInt16BE(offset);
+
+    if (marker === 0xda) {
+      // Entropy-coded scan data runs until the next marker that is not a stuffed
+      // zero byte or a restart marker
+      while (true) {
+        need(buffer, offset, 2);
+        if (buffer[offset] === 0xff && buffer[offset + 1] !== 0x00 &&
+            !(buffer[offset + 1] >= 0xd0 && buffer[offset + 1] <= 0xd7)) {
+          break;
+        }
+        offset += 1;
+      }
+    }
+  }
+}
+
+function skipGifSubBlocks(buffer, offset) {
+  while (true) {
+    need(buffer, offset, 1);
+    const size = buffer[offset];
+    offset += 1 + size;
+    if (size === 0) {
+      return offset;
+    }
+  }
+}
+
+// Returns the offset just past the trailer byte
+function gifEnd(buffer) {
+  need(buffer, 0, 13);
+  const flags = buffer[10];
+  let offset = 13;
+  if (flags & 0x80) {
+    offset += 3 * (2 ** ((flags & 0x07) + 1));
+  }
+
+  while (true) {
+    need(buffer, offset, 1);
+    const block = buffer[offset];
+
+    if (block === 0x3b) {
+      return offset + 1;
+    } else if (block === 0x21) {
+      need(buffer, offset, 2);
+      offset = skipGifSubBlocks(buffer, offset + 2);
+    } else if (block === 0x2c) {
+      need(buffer, offset, 10);
+      const localFlags = buffer[offset + 9];
+      offset += 10;
+      if (localFlags & 0x80) {
+        offset += 3 * (2 ** ((localFlags & 0x07) + 1));
+      }
+      // LZW minimum code size, then the image data sub-blocks
+      offset = skipGifSubBlocks(buffer, offset + 1);
+    } else {
+      throw new TruncatedError();
+    }
+  }
+}
+
+const END_FINDERS = { png: pngEnd, jpeg: jpegEnd, gif: gifEnd };
+
+// Sent by clients that do not know the type; they declare nothing
+const GENERIC_CONTENT_TYPES = ['application/octet-stream', 'binary/octet-stream'];
+
+// Lowercase without parameters, or undefined when nothing specific was declared
+function normalizeContentType(contentType) {
+  const type = (contentType || '').split(';')[0].trim().toLowerCase();
+  if (!type || GENERIC_CONTENT_TYPES.includes(type)) {
+    return undefined;
+  }
+  return type === 'image/jpg' ? 'image/jpeg' : type;
+}
+
+// { format, contentType, extension } for a supported declared mimetype, or undefined
+function formatForContentType(contentType) {
+  const normalized = normalizeContentType(contentType);
+  const format = Object.keys(FORMATS).find(name => FORMATS[name].contentType === normalized);
+  return format && { format, ...FORMATS[format] };
+}
+
+// Returns { format, contentType, extension } for a well-formed image, or
+// { error, code } describing why the upload is rejected. A missing or generic declared type
+// is no declaration; any other must match the content.
+function validateImage(buffer, declaredContentType) {
+  const format = detectFormat(buffer);
+  if (!format) {
+    return {
+      code: 'UNSUPPORTED_FILE_TYPE',
+      error: 'File content is not a JPEG, PNG or GIF image'
+    };
+  }
+
+  const detected = FORMATS[format];
+  const declared = normalizeContentType(declaredContentType);
+  if (declared && declared !== detected.contentType) {
+    return {
+      code: 'CONTENT_TYPE_MISMATCH',
+      error: `File was declared as ${declaredContentType} but its content is ${detected.contentType}; ` +
+        `the declared type must match the content (or be application/octet-stream to have it detected)`
+    };
+  }
+
+  let end;
+  try {
+    end = END_FINDERS[format](buffer);
+  } catch (err) {
+    if (err instanceof TruncatedError) {
+      return { code: 'TRUNCATED_IMAGE', error: `The ${format.toUpperCase()} data is truncated or malformed` };
+    }
+    throw err;
+  }
+
+  // Zero padding after the end marker is harmless, anything else is another payload
+  const trailing = buffer.subarray(end);
+  if (trailing.some(byte => byte !== 0)) {
+    return {
+      code: 'TRAILING_DATA',
+      error: `File contains ${trailing.length} bytes of unexpected data after the end of the image`
+    };
+  }
+
+  return { format, ...detected };
+}
+
+module.exports = { FORMATS, detectFormat, formatForContentType, validateImage };
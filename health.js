@@ -0,0 +1,61 @@
+const { get } = require('./db');
+const { status } = require('./migrator');
+
+const CHECK_TIMEOUT_MS = 2000;
+
+// Runs one check with a time limit. Returns { status: 'ok' | 'error', durationMs, error? }.
+async function runCheck(check) {
+  const start = Date.now();
+  let timer;
+  try {
+    await Promise.race([
+      check(),
+      new Promise((resolve, reject) => {
+        timer = setTimeout(() => reject(new Error(`No answer within ${CHECK_TIMEOUT_MS}ms`)), CHECK_TIMEOUT_MS);
+      })
+    ]);
+    return { status: 'ok', durationMs: Date.now() - start };
+  } catch (error) {
+    return { status: 'error', durationMs: Date.now() - start, error: error.message };
+  } finally {
+    clearTimeout(timer);
+  }
+}
+
+async function report(checks) {
+  const names = Object.keys(checks);
+  const results = await Promise.all(names.map(name => runCheck(checks[name])));
+  return {
+    status: results.every(result => result.status === 'ok') ? 'ok' : 'error',
+    checks: Object.fromEntries(names.map((name, index) => [name, results[index]]))
+  };
+}
+
+async function checkDatabase() {
+  await get(`SELECT 1`);
+}
+
+// Liveness: the process answers and its database connection works
+function checkLiveness() {
+  return report({ database: checkDatabase });
+}
+
+// Readiness: additionally the schema is current and storage answers. Storage is asked for
+// the newest image's object; a missing object is fine here, only a failing call is not.
+function checkReadiness(storage) {
+  return report({
+    database: checkDatabase,
+    migrations: async () => {
+      const pending = (await status()).filter(migration => !migration.appliedAt);
+      if (pending.length > 0) {
+        throw new Error(`${pending.length} pending migration(s)`);
+      }
+    },
+    storage: async () => {
+      const latest = await get(`SELECT s3_key FROM images ORDER BY id DESC LIMIT 1`);
+      await storage.head(latest ? latest.s3_key : 'readyz-probe');
+    }
+  });
+}
+
+module.exports = { checkLiveness, checkReadiness };
@@ -1,537 +1,1170 @@
 const express = require('express');
-const AWS = require('aws-sdk');
 const multer = require('multer');
-const sqlite3 = require('sqlite3').verbose();
-const { v4: uuidv4 } = require('uuid');
+const fs = require('fs');
 const path = require('path');
+const { v4: uuidv4 } = require('uuid');
+const { config } = require('./config');
+const { logger, requestContext, withRequestContext } = require('./logger');
+const { metrics, renderMetrics } = require('./metrics');
+const { checkLiveness, checkReadiness } = require('./health');
+const { defaultErrorCode, notFound, errorHandler } = require('./errors');
+const { createStorage } = require('./storage');
+const { run, get, all } = require('./db');
+const { migrate, status } = require('./migrator');
+const { PRESETS, parseVariantQuery, ensureVariant } = require('./variants');
+const { purgeDeletedImages } = require('./purge');
+const { ingestImage } = require('./ingest');
+const { exportCatalog, catalogToCsv } = require('./catalog');
+const { httpDate, sendStoredObject } = require('./serve');
+const { createImageCache } = require('./cache');
+const { MAX_UPLOAD_SIZE, initiateUpload, completeUpload } = require('./direct-upload');
+const { BULK_UPLOAD_DIR, createBulkJob, resumeBulkJobs, getBulkJob } = require('./bulk');
+const { parseArticleIds, parseSortOrder, linkImage, unlinkImage, reorderImages, setPrimaryImage } = require('./links');
+const { hasScope, requireScope } = require('./auth');
+const { parseArticleInput, articleEntry, getArticle, createArticle, updateArticle, deleteArticle } = require('./articles');
+const {
+  parseWebhookInput, webhookEntry, deliveryEntry, createWebhook, getWebhook, listWebhooks, deleteWebhook,
+  imageSummary, recordEvent, retryDelivery, startWebhookDispatcher
+} = require('./webhooks');
+const {
+  ARTICLE_IMAGE_SORT, WEBHOOK_DELIVERY_SORT, parseImageListQuery, parseArticleListQuery, parsePageQuery, pageQuery, buildPage
+} = require('./listing');
 
 const app = express();
-const PORT = process.env.PORT || 5000;
-
-const s3 = new AWS.S3({
-  region: 'us-east-1'
-});
-
-const BUCKET_NAME = 'hetproductimages';
-
-const db = new sqlite3.Database('articles_images.db');
 
-db.serialize(() => {
-  db.run(`CREATE TABLE IF NOT EXISTS articles (
-    id INTEGER PRIMARY KEY AUTOINCREMENT,
-    article_id TEXT UNIQUE,
-    created_at DATETIME DEFAULT CURRENT_TIMESTAMP
-  )`);
+const imageStorage = createStorage();
+const imageCache = createImageCache();
+
+// Resolves current uuids as well as the per-article uuids issued before normalization.
+// Soft-deleted images are treated as missing unless includeDeleted is set.
+function findImage(uuid, { includeDeleted = false } = {}) {
+  return get(
+    `SELECT * FROM images
+     WHERE (uuid = ? OR id = (SELECT image_id FROM image_aliases WHERE uuid = ?))
+       ${includeDeleted ? '' : 'AND deleted_at IS NULL'}`,
+    [uuid, uuid]
+  );
+}
+
+function serverUrl(req, uuid) {
+  return `${req.protocol}://${req.get('host')}/api/serve-image/${uuid}`;
+}
+
+// Shapes an images row for the list endpoints
+function imageListEntry(req, row) {
+  return {
+    ...row,
+    has_alpha: row.has_alpha === null ? null : Boolean(row.has_alpha),
+    server_url: serverUrl(req, row.uuid)
+  };
+}
+
+// Body of a successful upload, shared by multipart and direct uploads
+function uploadResponse({ image, deduplicated, newArticleIds, contentHash }, articleIds) {
+  return {
+    message: deduplicated ? 'File already stored, reused existing image' : 'File uploaded successfully',
+    status: deduplicated ? 'deduplicated' : 'created',
+    deduplicated: deduplicated,
+    uuid: image.uuid,
+    articleIds: articleIds,
+    newArticleIds: newArticleIds,
+    articleCount: articleIds.length,
+    originalName: image.original_name,
+    url: image.s3_url,
+    s3Key: image.s3_key,
+    contentType: image.content_type,
+    size: image.size,
+    width: image.width,
+    height: image.height,
+    dominantColor: image.dominant_color,
+    hasAlpha: image.has_alpha === null ? null : Boolean(image.has_alpha),
+    placeholder: image.placeholder,
+    altText: image.alt_text,
+    contentHash: contentHash || image.content_hash
+  };
+}
+
+// Every list responds with { data, pagination } (plus endpoint-specific fields) and
+// points to the neighbouring pages in a Link header
+function sendPage(req, res, { data, pagination, total, ...fields }) {
+  const links = [['next', pagination.nextCursor], ['prev', pagination.prevCursor]]
+    .filter(([, cursor]) => cursor)
+    .map(([rel, cursor]) => {
+      const url = new URL(req.originalUrl, `${req.protocol}://${req.get('host')}`);
+      url.searchParams.set('cursor', cursor);
+      return `<${url}>; rel="${rel}"`;
+    });
+  if (links.length > 0) {
+    res.set('Link', links.join(', '));
+  }
 
-  db.run(`CREATE TABLE IF NOT EXISTS images (
-    id INTEGER PRIMARY KEY AUTOINCREMENT,
-    uuid TEXT UNIQUE,
-    article_id TEXT,
-    original_name TEXT,
-    s3_key TEXT,
-    s3_url TEXT,
-    content_type TEXT,
-    size INTEGER,
-    created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
-    FOREIGN KEY (article_id) REFERENCES articles (article_id)
-  )`);
-});
+  res.json({ ...fields, data, pagination: { ...pagination, total } });
+}
 
+// No filter on the declared mimetype: the content is checked once the file is in (see
+// filetype.js), so a PNG sent as application/octet-stream is still accepted, while one
+// declared as image/jpeg is rejected
 const storage = multer.memoryStorage();
 const upload = multer({
   storage: storage,
-  fileFilter: (req, file, cb) => {
-    const allowedTypes = ['image/jpeg', 'image/jpg', 'image/png', 'image/gif'];
-    if (allowedTypes.includes(file.mimetype)) {
-      cb(null, true);
-    } else {
-      cb(new Error('Invalid file type. Only JPEG, PNG and GIF are allowed.'));
-    }
-  },
   limits: {
-    fileSize: 10 * 1024 * 1024
+    fileSize: MAX_UPLOAD_SIZE
   }
 });
 
-app.use(express.json());
+// Archives go to disk so a bulk job can outlive the request (and a restart)
+const bulkUpload = multer({
+  storage: multer.diskStorage({
+    destination: (req, file, cb) => {
+      fs.mkdir(BULK_UPLOAD_DIR, { recursive: true }, err => cb(err, BULK_UPLOAD_DIR));
+    },
+    filename: (req, file, cb) => cb(null, `${Date.now()}-${Math.round(Math.random() * 1e9)}.zip`)
+  }),
+  limits: {
+    fileSize: Math.floor(config.maxArchiveMb * 1024 * 1024)
+  }
+});
+
+// Probes and scrapes are logged at debug level only
+const QUIET_ROUTES = new Set(['/healthz', '/readyz', '/metrics']);
+
+// Every request gets an ID: the caller's X-Request-Id when it looks sane, otherwise a new
+// one. It is echoed in the X-Request-Id header, added to error bodies and to every log line
+// written while handling the request.
+app.use((req, res, next) => {
+  const incoming = req.get('x-request-id');
+  const requestId = incoming && /^[\w.:-]{1,128}$/.test(incoming) ? incoming : uuidv4();
+  res.set('X-Request-Id', requestId);
+
+  const json = res.json.bind(res);
+  res.json = body => {
+    if (res.statusCode >= 400 && body && typeof body === 'object' && typeof body.error === 'string') {
+      return json({ ...body, code: body.code || defaultErrorCode(res.statusCode), requestId });
+    }
+    return json(body);
+  };
+
+  const start = process.hrtime.bigint();
+  res.once('finish', () => {
+    const seconds = Number(process.hrtime.bigint() - start) / 1e9;
+    const route = req.route ? `${req.baseUrl}${req.route.path}` : 'unmatched';
+
+    metrics.httpRequestDuration.observe({ method: req.method, route }, seconds);
+    metrics.httpRequests.inc({ method: req.method, route, status: res.statusCode });
+    logger[QUIET_ROUTES.has(route) ? 'debug' : 'info']('Request', {
+      requestId,
+      method: req.method,
+      path: req.path,
+      route,
+      status: res.statusCode,
+      durationMs: Math.round(seconds * 1000),
+      bytes: Number(res.get('content-length')) || undefined
+    });
+  });
 
-app.post('/api/upload', upload.single('file'), async (req, res) => {
+  requestContext.run({ requestId }, next);
+});
+
+app.use(withRequestContext(express.json()));
+
+app.get('/healthz', async (req, res) => {
+  const result = await checkLiveness();
+  res.status(result.status === 'ok' ? 200 : 503).json(result);
+});
+
+app.get('/readyz', async (req, res) => {
+  const result = await checkReadiness(imageStorage);
+  res.status(result.status === 'ok' ? 200 : 503).json(result);
+});
+
+app.get('/metrics', requireScope('read'), (req, res) => {
+  res.type('text/plain; version=0.0.4').send(renderMetrics());
+});
+
+// Image bytes stay public for storefronts unless PUBLIC_IMAGE_SERVING=false
+const publicImageServing = config.publicImageServing;
+const requireServeAccess = publicImageServing
+  ? (req, res, next) => next()
+  : requireScope('read');
+// Shared caches must not keep images that need an API key
+const SERVE_CACHE_CONTROL = `${publicImageServing ? 'public' : 'private'}, max-age=31536000`;
+
+app.post('/api/upload', requireScope('upload'), withRequestContext(upload.single('file')), async (req, res) => {
   try {
     if (!req.file) {
       return res.status(400).json({ error: 'No file uploaded' });
     }
 
-    const { articleId, articleIds } = req.body;
+    // Handle multiple article IDs (comma-separated string or array) or a single articleId
+    const articleIdList = parseArticleIds(req.body);
 
-    let articleIdList = [];
-    if (articleIds) {
-      // Handle multiple article IDs (comma-separated string or array)
-      if (Array.isArray(articleIds)) {
-        articleIdList = articleIds.filter(id => id && id.trim());
-      } else if (typeof articleIds === 'string') {
-        articleIdList = articleIds.split(',').map(id => id.trim()).filter(id => id);
-      }
-    } else if (articleId) {
-      // Handle single article ID for backward compatibility
-      articleIdList = [articleId.trim()];
+    if (articleIdList.length === 0) {
+      return res.status(400).json({ error: 'At least one Article ID is required' });
+    }
+
+    const sortOrder = parseSortOrder(req.body.sortOrder);
+    if (sortOrder.error) {
+      return res.status(400).json({ error: sortOrder.error });
+    }
+
+    const altText = typeof req.body.altText === 'string' && req.body.altText.trim() ? req.body.altText.trim() : null;
+
+    const result = await ingestImage(imageStorage, {
+      buffer: req.file.buffer,
+      originalName: req.file.originalname,
+      declaredContentType: req.file.mimetype,
+      articleIds: articleIdList,
+      sortOrder: sortOrder.value,
+      altText: altText
+    });
+    if (result.error) {
+      return res.status(400).json({ error: result.error, code: result.code });
     }
 
+    res.json(uploadResponse(result, articleIdList));
+
+  } catch (error) {
+    logger.error('Upload error', { error });
+    res.status(500).json({ error: 'Failed to upload file' });
+  }
+});
+
+// Direct uploads: the client PUTs the file to storage itself, so it never passes through
+// this process until completion
+app.post('/api/uploads/initiate', requireScope('upload'), async (req, res) => {
+  try {
+    const articleIdList = parseArticleIds(req.body);
     if (articleIdList.length === 0) {
       return res.status(400).json({ error: 'At least one Article ID is required' });
     }
 
-    const baseUuid = uuidv4();
-    const fileExtension = path.extname(req.file.originalname);
-    const s3Key = `${baseUuid}${fileExtension}`;
+    const sortOrder = parseSortOrder(req.body.sortOrder);
+    if (sortOrder.error) {
+      return res.status(400).json({ error: sortOrder.error });
+    }
 
-    const uploadParams = {
-      Bucket: BUCKET_NAME,
-      Key: s3Key,
-      Body: req.file.buffer,
-      ContentType: req.file.mimetype
-    };
+    const altText = typeof req.body.altText === 'string' && req.body.altText.trim() ? req.body.altText.trim() : null;
 
-    const result = await s3.upload(uploadParams).promise();
+    const initiated = await initiateUpload(imageStorage, {
+      filename: typeof req.body.filename === 'string' ? req.body.filename : null,
+      contentType: req.body.contentType,
+      size: req.body.size,
+      articleIds: articleIdList,
+      sortOrder: sortOrder.value,
+      altText: altText
+    }, { baseUrl: `${req.protocol}://${req.get('host')}` });
 
-    // Insert articles (ignore if they already exist)
-    const articlePromises = articleIdList.map(artId => {
-      return new Promise((resolve, reject) => {
-        db.run(`INSERT OR IGNORE INTO articles (article_id) VALUES (?)`, [artId], (err) => {
-          if (err) reject(err);
-          else resolve();
-        });
-      });
+    if (initiated.error) {
+      return res.status(400).json({ error: initiated.error, code: initiated.code });
+    }
+
+    const { upload, target } = initiated;
+    res.status(201).json({
+      uploadId: upload.upload_id,
+      status: upload.status,
+      upload: { ...target, expiresAt: upload.url_expires_at },
+      expiresAt: upload.expires_at,
+      completeUrl: `${req.protocol}://${req.get('host')}/api/uploads/${upload.upload_id}/complete`
     });
 
-    await Promise.all(articlePromises);
-
-    // Insert image records for each article
-    const imagePromises = articleIdList.map(artId => {
-      const imageUuid = uuidv4(); // Generate unique UUID for each article-image combination
-      return new Promise((resolve, reject) => {
-        db.run(
-          `INSERT INTO images (uuid, article_id, original_name, s3_key, s3_url, content_type, size)
-           VALUES (?, ?, ?, ?, ?, ?, ?)`,
-          [imageUuid, artId, req.file.originalname, s3Key, result.Location, req.file.mimetype, req.file.size],
-          function(err) {
-            if (err) {
-              reject(err);
-            } else {
-              resolve({
-                id: this.lastID,
-                articleId: artId,
-                uuid: imageUuid
-              });
-            }
-          }
-        );
-      });
+  } catch (error) {
+    logger.error('Initiate upload error', { error });
+    res.status(500).json({ error: 'Failed to initiate upload' });
+  }
+});
+
+const COMPLETE_ERROR_STATUS = {
+  UPLOAD_NOT_FOUND: 404,
+  OBJECT_NOT_FOUND: 409,
+  UPLOAD_EXPIRED: 410,
+  IMAGE_PURGED: 410
+};
+
+app.post('/api/uploads/:uploadId/complete', requireScope('upload'), async (req, res) => {
+  try {
+    const completed = await completeUpload(imageStorage, req.params.uploadId);
+    if (completed.error) {
+      return res.status(COMPLETE_ERROR_STATUS[completed.code] || 400).json({ error: completed.error, code: completed.code });
+    }
+
+    const { upload } = completed;
+    const articleIdList = JSON.parse(upload.article_ids);
+    res.json({
+      ...uploadResponse({
+        image: completed.image,
+        deduplicated: Boolean(upload.deduplicated),
+        newArticleIds: completed.newArticleIds,
+        contentHash: completed.contentHash
+      }, articleIdList),
+      uploadId: upload.upload_id
     });
 
-    try {
-      const insertResults = await Promise.all(imagePromises);
+  } catch (error) {
+    logger.error('Complete upload error', { error });
+    res.status(500).json({ error: 'Failed to complete upload' });
+  }
+});
 
-      res.json({
-        message: 'File uploaded successfully',
-        articleIds: articleIdList,
-        articleCount: articleIdList.length,
-        originalName: req.file.originalname,
-        url: result.Location,
-        s3Key: s3Key,
-        contentType: req.file.mimetype,
-        size: req.file.size,
-        insertedRecords: insertResults
-      });
+app.post('/api/upload/bulk', requireScope('upload'), withRequestContext(bulkUpload.single('file')), async (req, res) => {
+  try {
+    if (!req.file) {
+      return res.status(400).json({ error: 'No archive uploaded' });
+    }
+
+    const separator = typeof req.body.separator === 'string' && req.body.separator ? req.body.separator : undefined;
+
+    const job = await createBulkJob(imageStorage, req.file.path, {
+      archiveName: req.file.originalname,
+      separator: separator
+    });
+    if (job.error) {
+      return res.status(400).json({ error: job.error, code: job.code });
+    }
+
+    res.status(202).json({
+      message: 'Archive accepted, processing in the background',
+      jobId: job.jobId,
+      status: job.status,
+      source: job.source,
+      counts: job.counts,
+      statusUrl: `${req.protocol}://${req.get('host')}/api/upload/bulk/${job.jobId}`
+    });
 
-    } catch (dbError) {
-      console.error('Database error:', dbError);
-      res.status(500).json({ error: 'Failed to save image metadata' });
+  } catch (error) {
+    logger.error('Bulk upload error', { error });
+    res.status(500).json({ error: 'Failed to start bulk upload' });
+  }
+});
+
+app.get('/api/upload/bulk/:jobId', requireScope('upload'), async (req, res) => {
+  try {
+    const job = await getBulkJob(req.params.jobId);
+    if (!job) {
+      return res.status(404).json({ error: 'Bulk upload job not found' });
     }
 
+    res.json(job);
+
   } catch (error) {
-    console.error('Upload error:', error);
-    res.status(500).json({ error: 'Failed to upload file' });
+    logger.error('Get bulk upload job error', { error });
+    res.status(500).json({ error: 'Failed to fetch bulk upload job' });
   }
 });
 
-app.get('/api/article/:articleId/images', (req, res) => {
+// Articles can be created ahead of their images; uploads create bare articles as needed
+app.post('/api/articles', requireScope('upload'), async (req, res) => {
+  try {
+    const articleId = req.body && typeof req.body.articleId === 'string' ? req.body.articleId.trim() : '';
+    if (!articleId) {
+      return res.status(400).json({ error: 'articleId is required' });
+    }
+
+    const input = parseArticleInput(req.body);
+    if (input.error) {
+      return res.status(400).json({ error: input.error });
+    }
+
+    const article = await createArticle(articleId, input.values);
+    if (!article) {
+      return res.status(409).json({ error: 'Article already exists, use PATCH /api/article/:articleId to change it', code: 'ARTICLE_EXISTS' });
+    }
+
+    res.status(201).json(articleEntry(article));
+
+  } catch (error) {
+    logger.error('Create article error', { error });
+    res.status(500).json({ error: 'Failed to create article' });
+  }
+});
+
+app.get('/api/article/:articleId', requireScope('read'), async (req, res) => {
+  try {
+    const article = await getArticle(req.params.articleId);
+    if (!article) {
+      return res.status(404).json({ error: 'Article not found' });
+    }
+
+    const counts = await get(
+      `SELECT COUNT(i.id) as image_count FROM article_images ai
+       JOIN images i ON i.id = ai.image_id AND i.deleted_at IS NULL
+       WHERE ai.article_id = ?`,
+      [article.article_id]
+    );
+
+    res.json({ ...articleEntry(article), imageCount: counts.image_count });
+
+  } catch (error) {
+    logger.error('Get article error', { error });
+    res.status(500).json({ error: 'Failed to get article' });
+  }
+});
+
+app.patch('/api/article/:articleId', requireScope('upload'), async (req, res) => {
+  try {
+    const input = parseArticleInput(req.body, { partial: true });
+    if (input.error) {
+      return res.status(400).json({ error: input.error });
+    }
+
+    const article = await updateArticle(req.params.articleId, input.values);
+    if (!article) {
+      return res.status(404).json({ error: 'Article not found' });
+    }
+
+    res.json(articleEntry(article));
+
+  } catch (error) {
+    logger.error('Update article error', { error });
+    res.status(500).json({ error: 'Failed to update article' });
+  }
+});
+
+app.delete('/api/article/:articleId', requireScope('admin'), async (req, res) => {
+  try {
+    const removedLinks = await deleteArticle(req.params.articleId);
+    if (removedLinks === null) {
+      return res.status(404).json({ error: 'Article not found' });
+    }
+
+    res.json({
+      message: 'Article deleted, its images were unlinked but kept',
+      articleId: req.params.articleId,
+      unlinkedImages: removedLinks
+    });
+
+  } catch (error) {
+    logger.error('Delete article error', { error });
+    res.status(500).json({ error: 'Failed to delete article' });
+  }
+});
+
+app.get('/api/article/:articleId/images', requireScope('read'), async (req, res) => {
   try {
     const articleId = req.params.articleId;
 
-    db.all(
-      `SELECT uuid, original_name, s3_key, s3_url, content_type, size, created_at
-       FROM images WHERE article_id = ? ORDER BY created_at DESC`,
-      [articleId],
-      (err, rows) => {
-        if (err) {
-          console.error('Database error:', err);
-          return res.status(500).json({ error: 'Failed to fetch images' });
-        }
+    const page = parsePageQuery(req.query, ARTICLE_IMAGE_SORT);
+    if (page.error) {
+      return res.status(400).json({ error: page.error });
+    }
 
-        // Add server image URLs to the response
-        const imagesWithServerUrls = rows.map(row => ({
-          ...row,
-          server_url: `${req.protocol}://${req.get('host')}/api/serve-image/${row.uuid}`
-        }));
-
-        res.json({
-          articleId: articleId,
-          images: imagesWithServerUrls,
-          count: rows.length
-        });
-      }
+    const query = pageQuery(
+      `SELECT i.uuid, i.original_name, i.s3_key, i.s3_url, i.content_type, i.size,
+              i.width, i.height, i.dominant_color, i.has_alpha, i.placeholder, i.alt_text, i.created_at,
+              ai.sort_order, ai.is_primary, ai.sort_order as sort_value, ai.id as sort_id
+       FROM article_images ai
+       JOIN images i ON i.id = ai.image_id
+       WHERE ai.article_id = ? AND i.deleted_at IS NULL`,
+      [articleId], ARTICLE_IMAGE_SORT, page
     );
+    const { rows, pagination } = buildPage(await all(query.sql, query.params), ARTICLE_IMAGE_SORT, page);
+
+    // The primary image is not necessarily on this page
+    const primary = await get(
+      `SELECT i.uuid FROM article_images ai
+       JOIN images i ON i.id = ai.image_id
+       WHERE ai.article_id = ? AND ai.is_primary = 1 AND i.deleted_at IS NULL`,
+      [articleId]
+    );
+    const countRow = await get(
+      `SELECT COUNT(*) as total FROM article_images ai
+       JOIN images i ON i.id = ai.image_id
+       WHERE ai.article_id = ? AND i.deleted_at IS NULL`,
+      [articleId]
+    );
+
+    // Add server image URLs to the response
+    const imagesWithServerUrls = rows.map(row => ({
+      ...imageListEntry(req, row),
+      is_primary: Boolean(row.is_primary)
+    }));
+
+    const article = await getArticle(articleId);
+
+    sendPage(req, res, {
+      articleId: articleId,
+      article: article ? articleEntry(article) : null,
+      primaryImageUuid: primary ? primary.uuid : null,
+      data: imagesWithServerUrls,
+      pagination: pagination,
+      total: countRow.total
+    });
 
   } catch (error) {
-    console.error('Get images error:', error);
+    logger.error('Get images error', { error });
     res.status(500).json({ error: 'Failed to get images' });
   }
 });
 
-app.get('/api/image/:uuid', (req, res) => {
+app.get('/api/image/:uuid', requireScope('read'), async (req, res) => {
   try {
-    const uuid = req.params.uuid;
-
-    db.get(
-      `SELECT * FROM images WHERE uuid = ?`,
-      [uuid],
-      async (err, row) => {
-        if (err) {
-          console.error('Database error:', err);
-          return res.status(500).json({ error: 'Failed to fetch image' });
-        }
+    const row = await findImage(req.params.uuid, { includeDeleted: req.query.includeDeleted === 'true' });
 
-        if (!row) {
-          return res.status(404).json({ error: 'Image not found' });
-        }
-
-        try {
-          const url = s3.getSignedUrl('getObject', {
-            Bucket: BUCKET_NAME,
-            Key: row.s3_key,
-            Expires: 3600
-          });
+    if (!row) {
+      return res.status(404).json({ error: 'Image not found' });
+    }
 
-          res.json({
-            uuid: row.uuid,
-            articleId: row.article_id,
-            originalName: row.original_name,
-            url: url,
-            s3Key: row.s3_key,
-            contentType: row.content_type,
-            size: row.size,
-            createdAt: row.created_at
-          });
-        } catch (s3Error) {
-          console.error('S3 error:', s3Error);
-          res.status(500).json({ error: 'Failed to generate signed URL' });
-        }
-      }
+    const links = await all(
+      `SELECT article_id FROM article_images WHERE image_id = ? ORDER BY id`,
+      [row.id]
     );
 
+    try {
+      const url = await imageStorage.getSignedUrl(row.s3_key, {
+        expiresIn: config.signedUrlExpirySeconds,
+        baseUrl: `${req.protocol}://${req.get('host')}`
+      });
+
+      res.json({
+        uuid: row.uuid,
+        articleIds: links.map(link => link.article_id),
+        originalName: row.original_name,
+        url: url,
+        s3Key: row.s3_key,
+        contentType: row.content_type,
+        size: row.size,
+        width: row.width,
+        height: row.height,
+        dominantColor: row.dominant_color,
+        hasAlpha: row.has_alpha === null ? null : Boolean(row.has_alpha),
+        placeholder: row.placeholder,
+        altText: row.alt_text,
+        contentHash: row.content_hash,
+        createdAt: row.created_at,
+        deletedAt: row.deleted_at
+      });
+    } catch (storageError) {
+      logger.error('Storage error', { key: row.s3_key, error: storageError });
+      res.status(500).json({ error: 'Failed to generate signed URL' });
+    }
+
   } catch (error) {
-    console.error('Get image error:', error);
+    logger.error('Get image error', { error });
     res.status(500).json({ error: 'Failed to get image' });
   }
 });
 
-app.get('/api/articles', (req, res) => {
+app.get('/api/articles', requireScope('read'), async (req, res) => {
   try {
-    db.all(
-      `SELECT a.article_id, a.created_at,
-              COUNT(i.id) as image_count,
-              GROUP_CONCAT(i.uuid) as image_uuids
-       FROM articles a
-       LEFT JOIN images i ON a.article_id = i.article_id
-       GROUP BY a.article_id, a.created_at
-       ORDER BY a.created_at DESC`,
-      (err, rows) => {
-        if (err) {
-          console.error('Database error:', err);
-          return res.status(500).json({ error: 'Failed to fetch articles' });
-        }
+    const filters = parseArticleListQuery(req.query);
+    if (filters.error) {
+      return res.status(400).json({ error: filters.error });
+    }
 
-        const articles = rows.map(row => ({
-          articleId: row.article_id,
-          createdAt: row.created_at,
-          imageCount: row.image_count,
-          imageUuids: row.image_uuids ? row.image_uuids.split(',') : []
-        }));
-
-        res.json({
-          articles: articles,
-          count: articles.length
-        });
-      }
-    );
+    const page = parsePageQuery(req.query, filters.sort);
+    if (page.error) {
+      return res.status(400).json({ error: page.error });
+    }
+
+    const grouped = `SELECT a.*,
+                            COUNT(i.id) as image_count,
+                            GROUP_CONCAT(i.uuid) as image_uuids,
+                            ${filters.sort.column} as sort_value, ${filters.sort.idColumn} as sort_id
+                     FROM articles a
+                     LEFT JOIN article_images ai ON ai.article_id = a.article_id
+                     LEFT JOIN images i ON i.id = ai.image_id AND i.deleted_at IS NULL
+                     WHERE ${filters.where}
+                     GROUP BY a.id
+                     ${filters.having ? `HAVING ${filters.having}` : ''}`;
+
+    const countRow = await get(`SELECT COUNT(*) as total FROM (${grouped})`, filters.params);
+    const query = pageQuery(grouped, filters.params, filters.sort, page);
+    const { rows, pagination } = buildPage(await all(query.sql, query.params), filters.sort, page);
+
+    const articles = rows.map(row => ({
+      ...articleEntry(row),
+      imageCount: row.image_count,
+      imageUuids: row.image_uuids ? row.image_uuids.split(',') : []
+    }));
+
+    sendPage(req, res, { data: articles, pagination: pagination, total: countRow.total });
 
   } catch (error) {
-    console.error('Get articles error:', error);
+    logger.error('Get articles error', { error });
     res.status(500).json({ error: 'Failed to get articles' });
   }
 });
 
-app.get('/api/serve-image/:uuid', (req, res) => {
-  try {
-    const uuid = req.params.uuid;
-
-    db.get(
-      `SELECT s3_key, content_type, original_name FROM images WHERE uuid = ?`,
-      [uuid],
-      async (err, row) => {
-        if (err) {
-          console.error('Database error:', err);
-          return res.status(500).json({ error: 'Failed to fetch image' });
-        }
+app.get('/api/serve-image/:uuid', requireServeAccess, async (req, res) => {
+  const endTimer = metrics.serveDuration.startTimer();
+  let kind = 'original';
+  res.once('finish', () => endTimer({ kind, status: res.statusCode }));
 
-        if (!row) {
-          return res.status(404).json({ error: 'Image not found' });
-        }
+  try {
+    const row = await findImage(req.params.uuid);
 
-        try {
-          const params = {
-            Bucket: BUCKET_NAME,
-            Key: row.s3_key
-          };
-
-          // Get the image data from S3
-          const s3Object = await s3.getObject(params).promise();
-
-          // Set appropriate headers
-          res.set({
-            'Content-Type': row.content_type,
-            'Content-Length': s3Object.ContentLength,
-            'Cache-Control': 'public, max-age=31536000', // Cache for 1 year
-            'Content-Disposition': `inline; filename="${row.original_name}"`
-          });
+    if (!row) {
+      return res.status(404).json({ error: 'Image not found' });
+    }
 
-          // Send the image data
-          res.send(s3Object.Body);
+    const { spec, error: variantError } = parseVariantQuery(req.query, row.content_type);
+    if (variantError) {
+      return res.status(400).json({ error: variantError });
+    }
+    if (spec) {
+      kind = 'variant';
+    }
 
-        } catch (s3Error) {
-          console.error('S3 error:', s3Error);
-          res.status(500).json({ error: 'Failed to retrieve image from storage' });
+    try {
+      // Stored objects never change under their key, so validators come from the database
+      // and a conditional request is answered without touching storage
+      let served = {
+        key: row.s3_key,
+        size: row.size,
+        contentType: row.content_type,
+        etag: `"${row.content_hash || row.uuid}"`,
+        lastModified: httpDate(row.created_at),
+        filename: row.original_name || row.s3_key
+      };
+
+      if (spec) {
+        // Resized or re-encoded variants are rendered once and then served from storage.
+        // Every new size costs a render and a stored object, so only presets and sizes
+        // rendered before are open to everyone; new custom sizes need a read key.
+        const render = Boolean(spec.preset) || await hasScope(req, 'read');
+        const ensured = await ensureVariant(imageStorage, row, spec, { render });
+        if (!ensured) {
+          return res.status(403).json({
+            error: 'Rendering a new variant size requires an API key with the "read" scope; use ?preset= without one',
+            code: 'VARIANT_NOT_ALLOWED'
+          });
+        }
+        const { variant, body } = ensured;
+        if (body) {
+          imageCache.set(variant.s3_key, body);
         }
+        served = {
+          key: variant.s3_key,
+          body: body,
+          size: variant.size,
+          contentType: variant.content_type,
+          etag: `"${row.content_hash || row.uuid}-${variant.variant_key}"`,
+          lastModified: httpDate(variant.created_at),
+          filename: `${path.parse(row.original_name || row.s3_key).name}-${variant.variant_key}`
+        };
+      }
+
+      // Older rows may lack a size
+      if (!served.size) {
+        served.size = served.body ? served.body.length : (await imageStorage.head(served.key)).contentLength;
       }
-    );
+
+      await sendStoredObject(req, res, imageStorage, { ...served, cacheControl: SERVE_CACHE_CONTROL, cache: imageCache });
+
+    } catch (storageError) {
+      logger.error('Storage error', { key: row.s3_key, error: storageError });
+      res.status(500).json({ error: 'Failed to retrieve image from storage' });
+    }
 
   } catch (error) {
-    console.error('Serve image error:', error);
+    logger.error('Serve image error', { error });
     res.status(500).json({ error: 'Failed to serve image' });
   }
 });
 
-// app.delete('/api/image/:uuid', (req, res) => {
-//   try {
-//     const uuid = req.params.uuid;
-
-//     db.get(
-//       `SELECT s3_key FROM images WHERE uuid = ?`,
-//       [uuid],
-//       async (err, row) => {
-//         if (err) {
-//           console.error('Database error:', err);
-//           return res.status(500).json({ error: 'Failed to find image' });
-//         }
-
-//         if (!row) {
-//           return res.status(404).json({ error: 'Image not found' });
-//         }
-
-//         try {
-//           const params = {
-//             Bucket: BUCKET_NAME,
-//             Key: row.s3_key
-//           };
-
-//           await s3.deleteObject(params).promise();
-
-//           db.run(
-//             `DELETE FROM images WHERE uuid = ?`,
-//             [uuid],
-//             function(deleteErr) {
-//               if (deleteErr) {
-//                 console.error('Database delete error:', deleteErr);
-//                 return res.status(500).json({ error: 'Failed to delete image record' });
-//               }
-
-//               res.json({
-//                 message: 'Image deleted successfully',
-//                 uuid: uuid
-//               });
-//             }
-//           );
-
-//         } catch (s3Error) {
-//           console.error('S3 delete error:', s3Error);
-//           res.status(500).json({ error: 'Failed to delete file from S3' });
-//         }
-//       }
-//     );
-
-//   } catch (error) {
-//     console.error('Delete error:', error);
-//     res.status(500).json({ error: 'Failed to delete image' });
-//   }
-// });
-
-app.get('/api/images', (req, res) => {
+app.get('/api/cache/stats', requireScope('admin'), (req, res) => {
+  res.json(imageCache.stats());
+});
+
+// Only the local driver hands out URLs pointing back at this server
+app.get('/api/storage/:key', async (req, res) => {
+  if (!imageStorage.verifySignature) {
+    return res.status(404).json({ error: 'Not found' });
+  }
+
+  const key = req.params.key;
+  if (!imageStorage.verifySignature(key, req.query.expires, req.query.signature)) {
+    return res.status(403).json({ error: 'Invalid or expired signature' });
+  }
+
   try {
-    const page = parseInt(req.query.page) || 1;
-    const limit = parseInt(req.query.limit) || 50;
-    const offset = (page - 1) * limit;
+    const storedObject = await imageStorage.get(key);
+    res.type(path.extname(key) || 'application/octet-stream');
+    res.send(storedObject.body);
+  } catch (storageError) {
+    if (storageError.code === 'ENOENT') {
+      return res.status(404).json({ error: 'Object not found' });
+    }
+    logger.error('Storage error', { key, error: storageError });
+    res.status(500).json({ error: 'Failed to retrieve object from storage' });
+  }
+});
 
-    // Get total count
-    db.get(
-      `SELECT COUNT(*) as total FROM images`,
-      (err, countRow) => {
-        if (err) {
-          console.error('Database error:', err);
-          return res.status(500).json({ error: 'Failed to fetch image count' });
-        }
+// Receives direct uploads for the local driver, standing in for an S3 presigned PUT
+app.put('/api/storage/:key', async (req, res) => {
+  if (!imageStorage.verifySignature) {
+    return res.status(404).json({ error: 'Not found' });
+  }
 
-        // Get paginated images with article info
-        db.all(
-          `SELECT
-             i.uuid,
-             i.article_id,
-             i.original_name,
-             i.s3_key,
-             i.s3_url,
-             i.content_type,
-             i.size,
-             i.created_at
-           FROM images i
-           ORDER BY i.created_at DESC
-           LIMIT ? OFFSET ?`,
-          [limit, offset],
-          (err, rows) => {
-            if (err) {
-              console.error('Database error:', err);
-              return res.status(500).json({ error: 'Failed to fetch images' });
-            }
-
-            const totalPages = Math.ceil(countRow.total / limit);
-
-            // Add server image URLs to the response
-            const imagesWithServerUrls = rows.map(row => ({
-              ...row,
-              server_url: `${req.protocol}://${req.get('host')}/api/serve-image/${row.uuid}`
-            }));
-
-            res.json({
-              images: imagesWithServerUrls,
-              pagination: {
-                currentPage: page,
-                totalPages: totalPages,
-                totalImages: countRow.total,
-                imagesPerPage: limit,
-                hasNextPage: page < totalPages,
-                hasPrevPage: page > 1
-              }
-            });
-          }
-        );
-      }
+  const key = req.params.key;
+  if (!imageStorage.verifySignature(key, req.query.expires, req.query.signature, { method: 'PUT' })) {
+    return res.status(403).json({ error: 'Invalid or expired signature' });
+  }
+
+  const contentLength = parseInt(req.get('content-length'));
+  if (!contentLength) {
+    return res.status(411).json({ error: 'Content-Length is required' });
+  }
+  if (contentLength > MAX_UPLOAD_SIZE) {
+    return res.status(413).json({ error: `File is larger than ${config.maxUploadMb}MB`, code: 'FILE_TOO_LARGE' });
+  }
+
+  try {
+    await imageStorage.put(key, req);
+    res.status(200).end();
+  } catch (storageError) {
+    logger.error('Storage error', { key, error: storageError });
+    res.status(500).json({ error: 'Failed to store object' });
+  }
+});
+
+app.post('/api/image/:uuid/articles', requireScope('upload'), async (req, res) => {
+  try {
+    const image = await findImage(req.params.uuid);
+
+    if (!image) {
+      return res.status(404).json({ error: 'Image not found' });
+    }
+
+    const articleIdList = parseArticleIds(req.body);
+    if (articleIdList.length === 0) {
+      return res.status(400).json({ error: 'At least one Article ID is required' });
+    }
+
+    const newArticleIds = await linkImage(image.id, articleIdList);
+    if (newArticleIds.length > 0) {
+      await recordEvent('image.linked', { image: imageSummary(image), articleIds: newArticleIds });
+    }
+
+    res.json({
+      message: 'Image attached to articles',
+      uuid: image.uuid,
+      articleIds: articleIdList,
+      newArticleIds: newArticleIds
+    });
+
+  } catch (error) {
+    logger.error('Attach image error', { error });
+    res.status(500).json({ error: 'Failed to attach image' });
+  }
+});
+
+app.delete('/api/image/:uuid/articles/:articleId', requireScope('upload'), async (req, res) => {
+  try {
+    const image = await findImage(req.params.uuid);
+
+    if (!image) {
+      return res.status(404).json({ error: 'Image not found' });
+    }
+
+    if (!(await unlinkImage(image.id, req.params.articleId))) {
+      return res.status(404).json({ error: 'Image is not linked to this article' });
+    }
+    await recordEvent('image.unlinked', { image: imageSummary(image), articleId: req.params.articleId });
+
+    res.json({
+      message: 'Image detached from article',
+      uuid: image.uuid,
+      articleId: req.params.articleId
+    });
+
+  } catch (error) {
+    logger.error('Detach image error', { error });
+    res.status(500).json({ error: 'Failed to detach image' });
+  }
+});
+
+app.put('/api/article/:articleId/images/order', requireScope('upload'), async (req, res) => {
+  try {
+    const imageUuids = req.body && req.body.imageUuids;
+
+    if (!Array.isArray(imageUuids) || imageUuids.length === 0 || imageUuids.some(uuid => typeof uuid !== 'string')) {
+      return res.status(400).json({ error: 'imageUuids must be a non-empty array of image UUIDs' });
+    }
+    if (new Set(imageUuids).size !== imageUuids.length) {
+      return res.status(400).json({ error: 'imageUuids must not contain duplicates' });
+    }
+
+    const { unknownUuids } = await reorderImages(req.params.articleId, imageUuids);
+    if (unknownUuids.length > 0) {
+      return res.status(400).json({ error: 'Some images are not linked to this article', unknownUuids });
+    }
+
+    res.json({
+      message: 'Image order updated',
+      articleId: req.params.articleId,
+      imageUuids: imageUuids
+    });
+
+  } catch (error) {
+    logger.error('Reorder images error', { error });
+    res.status(500).json({ error: 'Failed to reorder images' });
+  }
+});
+
+app.put('/api/article/:articleId/primary-image', requireScope('upload'), async (req, res) => {
+  try {
+    const uuid = req.body && req.body.uuid;
+
+    if (typeof uuid !== 'string' || !uuid) {
+      return res.status(400).json({ error: 'uuid is required' });
+    }
+
+    const image = await findImage(uuid);
+    if (!image) {
+      return res.status(404).json({ error: 'Image not found' });
+    }
+
+    if (!(await setPrimaryImage(req.params.articleId, image.id))) {
+      return res.status(400).json({ error: 'Image is not linked to this article' });
+    }
+
+    res.json({
+      message: 'Primary image updated',
+      articleId: req.params.articleId,
+      primaryImageUuid: image.uuid
+    });
+
+  } catch (error) {
+    logger.error('Set primary image error', { error });
+    res.status(500).json({ error: 'Failed to set primary image' });
+  }
+});
+
+app.delete('/api/image/:uuid', requireScope('admin'), async (req, res) => {
+  try {
+    const row = await findImage(req.params.uuid, { includeDeleted: true });
+
+    if (!row) {
+      return res.status(404).json({ error: 'Image not found' });
+    }
+
+    // Soft delete: the row and storage object stay until the next purge
+    if (!row.deleted_at) {
+      await run(`UPDATE images SET deleted_at = CURRENT_TIMESTAMP WHERE id = ?`, [row.id]);
+      await recordEvent('image.deleted', { image: imageSummary(row) });
+    }
+
+    const deleted = await get(`SELECT deleted_at FROM images WHERE id = ?`, [row.id]);
+
+    res.json({
+      message: 'Image deleted successfully',
+      uuid: row.uuid,
+      deletedAt: deleted.deleted_at
+    });
+
+  } catch (error) {
+    logger.error('Delete error', { error });
+    res.status(500).json({ error: 'Failed to delete image' });
+  }
+});
+
+app.post('/api/image/:uuid/restore', requireScope('admin'), async (req, res) => {
+  try {
+    const row = await findImage(req.params.uuid, { includeDeleted: true });
+
+    if (!row) {
+      return res.status(404).json({ error: 'Image not found' });
+    }
+
+    await run(`UPDATE images SET deleted_at = NULL WHERE id = ?`, [row.id]);
+    if (row.deleted_at) {
+      await recordEvent('image.restored', { image: imageSummary(row) });
+    }
+
+    res.json({
+      message: row.deleted_at ? 'Image restored successfully' : 'Image was not deleted',
+      uuid: row.uuid
+    });
+
+  } catch (error) {
+    logger.error('Restore error', { error });
+    res.status(500).json({ error: 'Failed to restore image' });
+  }
+});
+
+app.get('/api/images', requireScope('read'), async (req, res) => {
+  try {
+    const filters = parseImageListQuery(req.query);
+    if (filters.error) {
+      return res.status(400).json({ error: filters.error });
+    }
+
+    const page = parsePageQuery(req.query, filters.sort);
+    if (page.error) {
+      return res.status(400).json({ error: page.error });
+    }
+
+    // Get total count
+    const countRow = await get(`SELECT COUNT(*) as total FROM images i WHERE ${filters.where}`, filters.params);
+
+    // Get one page of images with the articles they are linked to
+    const query = pageQuery(
+      `SELECT
+         i.uuid,
+         i.original_name,
+         i.s3_key,
+         i.s3_url,
+         i.content_type,
+         i.size,
+         i.width,
+         i.height,
+         i.dominant_color,
+         i.has_alpha,
+         i.placeholder,
+         i.alt_text,
+         i.created_at,
+         (SELECT GROUP_CONCAT(ai.article_id) FROM article_images ai WHERE ai.image_id = i.id) as article_ids,
+         ${filters.sort.column} as sort_value,
+         ${filters.sort.idColumn} as sort_id
+       FROM images i
+       WHERE ${filters.where}`,
+      filters.params, filters.sort, page
     );
+    const { rows, pagination } = buildPage(await all(query.sql, query.params), filters.sort, page);
+
+    // Add server image URLs to the response
+    const imagesWithServerUrls = rows.map(row => ({
+      ...imageListEntry(req, row),
+      article_ids: row.article_ids ? row.article_ids.split(',') : []
+    }));
+
+    sendPage(req, res, { data: imagesWithServerUrls, pagination: pagination, total: countRow.total });
 
   } catch (error) {
-    console.error('Get all images error:', error);
+    logger.error('Get all images error', { error });
     res.status(500).json({ error: 'Failed to get images' });
   }
 });
 
-// app.delete('/api/images/all', async (req, res) => {
-//   try {
-//     // Get all images from database
-//     db.all(`SELECT s3_key FROM images`, async (err, rows) => {
-//       if (err) {
-//         console.error('Database error:', err);
-//         return res.status(500).json({ error: 'Failed to fetch images from database' });
-//       }
-
-//       if (rows.length === 0) {
-//         return res.json({ message: 'No images found to delete', deletedCount: 0 });
-//       }
-
-//       try {
-//         // Delete all objects from S3
-//         const deleteParams = {
-//           Bucket: BUCKET_NAME,
-//           Delete: {
-//             Objects: rows.map(row => ({ Key: row.s3_key })),
-//             Quiet: false
-//           }
-//         };
-
-//         const deleteResult = await s3.deleteObjects(deleteParams).promise();
-
-//         // Clear all records from database
-//         db.serialize(() => {
-//           db.run(`DELETE FROM images`, (dbErr) => {
-//             if (dbErr) {
-//               console.error('Database delete error:', dbErr);
-//               return res.status(500).json({
-//                 error: 'S3 cleanup successful but database cleanup failed',
-//                 s3DeletedCount: deleteResult.Deleted?.length || 0,
-//                 s3Errors: deleteResult.Errors || []
-//               });
-//             }
-
-//             db.run(`DELETE FROM articles WHERE article_id NOT IN (SELECT DISTINCT article_id FROM images)`, (cleanupErr) => {
-//               if (cleanupErr) {
-//                 console.error('Articles cleanup error:', cleanupErr);
-//               }
-
-//               res.json({
-//                 message: 'All images deleted successfully',
-//                 s3DeletedCount: deleteResult.Deleted?.length || 0,
-//                 s3Errors: deleteResult.Errors || [],
-//                 databaseCleared: true,
-//                 orphanedArticlesRemoved: true
-//               });
-//             });
-//           });
-//         });
-
-//       } catch (s3Error) {
-//         console.error('S3 delete error:', s3Error);
-//         res.status(500).json({
-//           error: 'Failed to delete images from S3',
-//           details: s3Error.message,
-//           foundImageCount: rows.length
-//         });
-//       }
-//     });
-
-//   } catch (error) {
-//     console.error('Delete all images error:', error);
-//     res.status(500).json({ error: 'Failed to delete all images' });
-//   }
-// });
+app.post('/api/images/purge', requireScope('admin'), async (req, res) => {
+  try {
+    const olderThanDays = req.body && req.body.olderThanDays !== undefined ? Number(req.body.olderThanDays) : 0;
+
+    if (!Number.isInteger(olderThanDays) || olderThanDays < 0) {
+      return res.status(400).json({ error: 'olderThanDays must be a non-negative integer' });
+    }
+
+    const result = await purgeDeletedImages(imageStorage, { olderThanDays });
+
+    res.json({
+      message: `Purged ${result.purgedImages.length} deleted images`,
+      ...result
+    });
+
+  } catch (error) {
+    logger.error('Purge error', { error });
+    res.status(500).json({ error: 'Failed to purge deleted images' });
+  }
+});
+
+// Articles, images and links with their storage keys, for backups and moving environments.
+// Restored with `node cli.js import`.
+app.get('/api/export', requireScope('admin'), async (req, res) => {
+  try {
+    const format = req.query.format || 'json';
+    if (format !== 'json' && format !== 'csv') {
+      return res.status(400).json({ error: 'format must be json or csv' });
+    }
+
+    const catalog = await exportCatalog({ storage: imageStorage });
+    const filename = `catalog-${catalog.exportedAt.slice(0, 10)}.${format}`;
+
+    res.attachment(filename);
+    if (format === 'csv') {
+      return res.type('text/csv').send(catalogToCsv(catalog));
+    }
+    res.json(catalog);
+
+  } catch (error) {
+    logger.error('Export error', { error });
+    res.status(500).json({ error: 'Failed to export catalog' });
+  }
+});
+
+// Webhooks notify other services of catalog changes, see README "Webhooks"
+app.post('/api/webhooks', requireScope('admin'), async (req, res) => {
+  try {
+    const input = parseWebhookInput(req.body);
+    if (input.error) {
+      return res.status(400).json({ error: input.error });
+    }
+
+    const { webhook, secret } = await createWebhook(input.values);
+
+    res.status(201).json({ ...webhookEntry(webhook), secret });
+
+  } catch (error) {
+    logger.error('Create webhook error', { error });
+    res.status(500).json({ error: 'Failed to create webhook' });
+  }
+});
+
+app.get('/api/webhooks', requireScope('admin'), async (req, res) => {
+  try {
+    res.json({ data: (await listWebhooks()).map(webhookEntry) });
+  } catch (error) {
+    logger.error('List webhooks error', { error });
+    res.status(500).json({ error: 'Failed to list webhooks' });
+  }
+});
+
+app.delete('/api/webhooks/:webhookId', requireScope('admin'), async (req, res) => {
+  try {
+    if (!(await deleteWebhook(req.params.webhookId))) {
+      return res.status(404).json({ error: 'Webhook not found' });
+    }
+
+    res.json({ message: 'Webhook deleted', webhookId: req.params.webhookId });
+
+  } catch (error) {
+    logger.error('Delete webhook error', { error });
+    res.status(500).json({ error: 'Failed to delete webhook' });
+  }
+});
+
+// Delivery log, newest first, optionally filtered by status (pending, delivered, failed)
+app.get('/api/webhooks/:webhookId/deliveries', requireScope('admin'), async (req, res) => {
+  try {
+    const webhook = await getWebhook(req.params.webhookId);
+    if (!webhook) {
+      return res.status(404).json({ error: 'Webhook not found' });
+    }
+
+    const status = req.query.status;
+    if (status !== undefined && !['pending', 'delivered', 'failed'].includes(status)) {
+      return res.status(400).json({ error: 'status must be pending, delivered or failed' });
+    }
+
+    const page = parsePageQuery(req.query, WEBHOOK_DELIVERY_SORT);
+    if (page.error) {
+      return res.status(400).json({ error: page.error });
+    }
+
+    const where = `d.webhook_id = ?${status ? ' AND d.status = ?' : ''}`;
+    const params = status ? [webhook.webhook_id, status] : [webhook.webhook_id];
+
+    const query = pageQuery(
+      `SELECT d.*, d.id as sort_value, d.id as sort_id FROM webhook_deliveries d WHERE ${where}`,
+      params, WEBHOOK_DELIVERY_SORT, page
+    );
+    const { rows, pagination } = buildPage(await all(query.sql, query.params), WEBHOOK_DELIVERY_SORT, page);
+    const countRow = await get(`SELECT COUNT(*) as total FROM webhook_deliveries d WHERE ${where}`, params);
+
+    sendPage(req, res, {
+      webhook: webhookEntry(webhook),
+      data: rows.map(deliveryEntry),
+      pagination: pagination,
+      total: countRow.total
+    });
+
+  } catch (error) {
+    logger.error('List webhook deliveries error', { error });
+    res.status(500).json({ error: 'Failed to list webhook deliveries' });
+  }
+});
+
+app.post('/api/webhooks/:webhookId/deliveries/:deliveryId/retry', requireScope('admin'), async (req, res) => {
+  try {
+    const delivery = await retryDelivery(req.params.webhookId, req.params.deliveryId);
+    if (!delivery) {
+      return res.status(404).json({ error: 'Delivery not found' });
+    }
+
+    res.status(202).json(deliveryEntry(delivery));
+
+  } catch (error) {
+    logger.error('Retry webhook delivery error', { error });
+    res.status(500).json({ error: 'Failed to retry webhook delivery' });
+  }
+});
 
 app.get('/', (req, res) => {
   res.json({
-    message: 'S3 Upload API Server with SQLite',
+    message: 'Image Upload API Server with SQLite',
     endpoints: {
-      upload: 'POST /api/upload (requires: file, articleId OR articleIds)',
-      getArticleImages: 'GET /api/article/:articleId/images (returns server_url for each image)',
-      getImageByUuid: 'GET /api/image/:uuid (returns signed S3 URL)',
+      upload: 'POST /api/upload (requires: file, articleId OR articleIds; optional: sortOrder, altText)',
+      initiateDirectUpload: 'POST /api/uploads/initiate (body: filename, contentType, size, articleId OR articleIds; optional: sortOrder, altText)',
+      completeDirectUpload: 'POST /api/uploads/:uploadId/complete',
+      bulkUpload: 'POST /api/upload/bulk (requires: file as a ZIP archive; optional: separator)',
+      bulkUploadStatus: 'GET /api/upload/bulk/:jobId',
+      createArticle: 'POST /api/articles (body: articleId; optional: name, description, category, family, attributes, active)',
+      getArticle: 'GET /api/article/:articleId',
+      updateArticle: 'PATCH /api/article/:articleId (any of: name, description, category, family, attributes, active)',
+      deleteArticle: 'DELETE /api/article/:articleId (unlinks its images, keeps them)',
+      getArticleImages: 'GET /api/article/:articleId/images?limit=50&cursor=... (returns server_url for each image)',
+      getImageByUuid: 'GET /api/image/:uuid (returns signed storage URL)',
       serveImage: 'GET /api/serve-image/:uuid (serves image directly through server)',
-      listArticles: 'GET /api/articles',
-      listAllImages: 'GET /api/images?page=1&limit=50 (returns server_url for each image)',
-      // deleteImage: 'DELETE /api/image/:uuid',
-      // deleteAllImages: 'DELETE /api/images/all (DANGER: deletes all images from S3 and database)'
+      serveImageVariant: `GET /api/serve-image/:uuid?w=300&h=300&fit=cover&format=webp or ?preset=${Object.keys(PRESETS).join('|')}`,
+      cacheStats: 'GET /api/cache/stats (image cache hits, misses and size)',
+      listArticles: 'GET /api/articles?limit=50&cursor=...&q=924&category=...&family=...&active=true&hasImages=false&sort=created_at|article_id|name|image_count&order=asc|desc',
+      listAllImages: 'GET /api/images?limit=50&cursor=... (returns server_url for each image; filters: articleIdPrefix, contentType, minSize, maxSize, uploadedAfter, uploadedBefore, name; sort=created_at|size|original_name|width|height, order=asc|desc)',
+      attachImage: 'POST /api/image/:uuid/articles (body: articleId OR articleIds)',
+      detachImage: 'DELETE /api/image/:uuid/articles/:articleId',
+      reorderArticleImages: 'PUT /api/article/:articleId/images/order (body: { imageUuids: [...] })',
+      setPrimaryImage: 'PUT /api/article/:articleId/primary-image (body: { uuid })',
+      deleteImage: 'DELETE /api/image/:uuid (soft delete, hidden from lists until purged)',
+      restoreImage: 'POST /api/image/:uuid/restore',
+      purgeDeletedImages: 'POST /api/images/purge (optional body: { olderThanDays })',
+      exportCatalog: 'GET /api/export?format=json|csv (articles, images and links with storage keys)',
+      metrics: 'GET /metrics (Prometheus text format)',
+      health: 'GET /healthz (liveness), GET /readyz (database, migrations and storage)',
+      createWebhook: 'POST /api/webhooks (body: url; optional: events, secret, description)',
+      listWebhooks: 'GET /api/webhooks',
+      deleteWebhook: 'DELETE /api/webhooks/:webhookId',
+      webhookDeliveries: 'GET /api/webhooks/:webhookId/deliveries?status=pending|delivered|failed&limit=50&cursor=...',
+      retryWebhookDelivery: 'POST /api/webhooks/:webhookId/deliveries/:deliveryId/retry'
     },
     uploadOptions: {
       singleArticle: 'articleId: "article123"',
       multipleArticles: 'articleIds: "article1,article2,article3" or articleIds: ["article1", "article2", "article3"]'
     },
+    authentication: 'Authorization: Bearer <api key> with read, upload or admin scope',
     database: 'SQLite with article-image relationships',
-    storage: 'AWS S3 (hetproductimages bucket)'
+    storage: imageStorage.describe()
   });
 });
 
-app.listen(PORT, () => {
-  console.log(`Server running on port ${PORT}`);
-});
\ No newline at end of file
+app.use(notFound);
+app.use(errorHandler);
+
+// Migrations run on boot unless MIGRATE_ON_BOOT=false, in which case the schema must
+// already be current (see `node cli.js migrate up`)
+async function prepareDatabase() {
+  if (!config.migrateOnBoot) {
+    const pending = (await status()).filter(migration => !migration.appliedAt);
+    if (pending.length > 0) {
+      throw new Error(`${pending.length} pending migration(s), run "node cli.js migrate up"`);
+    }
+    return;
+  }
+
+  await migrate({ log: message => logger.info(message) });
+}
+
+if (require.main === module) {
+  prepareDatabase().then(async () => {
+    const unhashed = await get(`SELECT COUNT(*) AS count FROM images WHERE content_hash IS NULL`);
+    if (unhashed.count > 0) {
+      logger.warn('Images without a content hash are not deduplicated, run "node cli.js metadata backfill"', {
+        count: unhashed.count
+      });
+    }
+
+    const resumed = await resumeBulkJobs(imageStorage);
+    if (resumed > 0) {
+      logger.info('Resuming bulk upload jobs', { count: resumed });
+    }
+
+    startWebhookDispatcher();
+
+    app.listen(config.port, () => {
+      logger.info('Server running', { port: config.port, storage: imageStorage.describe() });
+    });
+  }).catch(error => {
+    logger.error('Database initialization error', { error });
+    process.exit(1);
+  });
+}
+
+module.exports = app;
+module.exports.prepareDatabase = prepareDatabase;
\ No newline at end of file
@@ -0,0 +1,160 @@
+const crypto = require('crypto');
+const { v4: uuidv4 } = require('uuid');
+const { config } = require('./config');
+const { run, get, transaction } = require('./db');
+const { generatePresets } = require('./variants');
+const { extractMetadata } = require('./metadata');
+const { validateImage } = require('./filetype');
+const { linkImage } = require('./links');
+const { recordEvent, imageSummary } = require('./webhooks');
+const { logger } = require('./logger');
+const { metrics } = require('./metrics');
+
+// Removes an object whose database records were never committed. When storage refuses,
+// the key is recorded in storage_cleanup for `node cli.js reconcile --fix` to retry.
+async function discardObject(storage, key, reason) {
+  try {
+    await storage.delete(key);
+  } catch (deleteError) {
+    logger.error('Failed to delete object, marking it for cleanup', { key, error: deleteError });
+    await run(`INSERT OR IGNORE INTO storage_cleanup (s3_key, reason) VALUES (?, ?)`, [key, reason])
+      .catch(markError => logger.error('Failed to mark object for cleanup', { key, error: markError }));
+  }
+}
+
+// Thrown inside the upload transaction when the image the pre-check found to reuse was
+// purged in the meantime; nothing was stored for this upload then, so it starts over once
+class ReuseTargetGone extends Error {
+  constructor() {
+    super('The identical image this upload was going to reuse was purged while it was being stored');
+  }
+}
+
+// Stores an image (or reuses a byte-identical one) and links it to articleIds.
+// Shared by single uploads, bulk archive jobs and direct uploads. With `staged`
+// ({ uuid, key }) the object the client already put in storage is moved into place instead
+// of storing buffer again; when it is not used the caller removes it.
+// The object is stored first and all database writes run in one transaction afterwards.
+// If that transaction fails, the object is removed again (a staged one goes back to its
+// staged key, so the upload can be completed again) and the error is rethrown.
+// Returns { error, code } when the file is rejected, otherwise
+// { image, deduplicated, newArticleIds, contentHash }.
+async function storeImage(storage, options, { retried = false } = {}) {
+  const { buffer, originalName, declaredContentType, articleIds, sortOrder, altText, staged } = options;
+
+  // The stored type comes from the file content; a specific declared mimetype must match it
+  const detected = validateImage(buffer, declaredContentType);
+  if (detected.error) {
+    return { error: detected.error, code: detected.code };
+  }
+  if (!config.allowedContentTypes.includes(detected.contentType)) {
+    return { error: `${detected.contentType} files are not accepted`, code: 'UNSUPPORTED_FILE_TYPE' };
+  }
+
+  const contentHash = crypto.createHash('sha256').update(buffer).digest('hex');
+
+  // Reuse the stored object when a byte-identical file was uploaded before
+  let stored = null;
+  let metadata = null;
+  if (!(await get(`SELECT id FROM images WHERE content_hash = ?`, [contentHash]))) {
+    try {
+      metadata = await extractMetadata(buffer);
+    } catch (decodeError) {
+      return { error: 'Uploaded file could not be decoded as an image', code: 'INVALID_IMAGE' };
+    }
+
+    const imageUuid = staged ? staged.uuid : uuidv4();
+    const s3Key = `${imageUuid}${detected.extension}`;
+    const result = staged
+      ? await storage.move(staged.key, s3Key)
+      : await storage.put(s3Key, buffer, { contentType: detected.contentType });
+    stored = { uuid: imageUuid, key: s3Key, url: result.url };
+  }
+
+  let committed;
+  try {
+    committed = await transaction(async () => {
+      // Checked again, a byte-identical upload may have committed while this one was stored
+      let image = await get(`SELECT * FROM images WHERE content_hash = ?`, [contentHash]);
+      const deduplicated = Boolean(image);
+      if (!image && !stored) {
+        throw new ReuseTargetGone();
+      }
+
+      if (deduplicated) {
+        // Uploading a deleted image again brings it back instead of storing a second copy
+        await run(
+          `UPDATE images SET deleted_at = NULL, alt_text = COALESCE(?, alt_text) WHERE id = ?`,
+          [altText || null, image.id]
+        );
+      } else {
+        await run(
+          `INSERT INTO images (uuid, original_name, s3_key, s3_url, content_type, size, content_hash,
+                               width, height, dominant_color, has_alpha, placeholder, alt_text)
+           VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)`,
+          [stored.uuid, originalName, stored.key, stored.url, detected.contentType, buffer.length, contentHash,
+            metadata.width, metadata.height, metadata.dominantColor, metadata.hasAlpha ? 1 : 0, metadata.placeholder, altText]
+        );
+        image = await get(`SELECT * FROM images WHERE uuid = ?`, [stored.uuid]);
+      }
+
+      // Insert articles and link them to the image (ignore links that already exist)
+      const newArticleIds = await linkImage(image.id, articleIds, { sortOrder });
+      const saved = await get(`SELECT * FROM images WHERE id = ?`, [image.id]);
+
+      if (!deduplicated) {
+        await recordEvent('image.created', { image: imageSummary(saved), articleIds });
+      } else if (image.deleted_at) {
+        await recordEvent('image.restored', { image: imageSummary(saved) });
+      }
+      if (newArticleIds.length > 0) {
+        await recordEvent('image.linked', { image: imageSummary(saved), articleIds: newArticleIds });
+      }
+
+      return { image: saved, deduplicated, newArticleIds };
+    });
+  } catch (error) {
+    if (error instanceof ReuseTargetGone && !retried) {
+      return storeImage(storage, options, { retried: true });
+    }
+    if (stored && staged) {
+      await storage.move(stored.key, staged.key)
+        .catch(() => discardObject(storage, stored.key, 'upload transaction failed'));
+    } else if (stored) {
+      await discardObject(storage, stored.key, 'upload transaction failed');
+    }
+    throw error;
+  }
+
+  if (stored && committed.deduplicated) {
+    await discardObject(storage, stored.key, 'duplicate of a concurrent upload');
+  } else if (stored) {
+    // A failed preset only costs an on-demand render later, so it does not fail the upload
+    try {
+      await generatePresets(storage, committed.image);
+    } catch (variantError) {
+      logger.error('Variant generation error', { uuid: committed.image.uuid, error: variantError });
+    }
+  }
+
+  return { ...committed, contentHash };
+}
+
+// `source` (upload, bulk or direct) labels the upload metrics
+async function ingestImage(storage, { source = 'upload', ...options }) {
+  try {
+    const result = await storeImage(storage, options);
+    if (result.error) {
+      metrics.uploads.inc({ source, result: 'rejected' });
+    } else {
+      metrics.uploads.inc({ source, result: result.deduplicated ? 'deduplicated' : 'created' });
+      metrics.uploadBytes.inc({ source }, options.buffer.length);
+    }
+    return result;
+  } catch (error) {
+    metrics.uploads.inc({ source, result: 'failed' });
+    throw error;
+  }
+}
+
+module.exports = { ingestImage };
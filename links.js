@@ -0,0 +1,125 @@
+const { run, get, all, transaction } = require('./db');
+const { articleEntry, getArticle } = require('./articles');
+const { recordEvent } = require('./webhooks');
+
+// Accepts articleIds as an array or comma-separated string, or a single articleId
+function parseArticleIds({ articleId, articleIds } = {}) {
+  if (articleIds) {
+    if (Array.isArray(articleIds)) {
+      return articleIds.filter(id => typeof id === 'string' && id.trim()).map(id => id.trim());
+    }
+    if (typeof articleIds === 'string') {
+      return articleIds.split(',').map(id => id.trim()).filter(id => id);
+    }
+    return [];
+  }
+
+  if (typeof articleId === 'string' && articleId.trim()) {
+    return [articleId.trim()];
+  }
+  return [];
+}
+
+// Optional non-negative integer from a form or JSON field. Returns { value } or { error }.
+function parseSortOrder(value) {
+  if (value === undefined || value === null || value === '') {
+    return { value: undefined };
+  }
+
+  const number = Number(value);
+  if (!Number.isInteger(number) || number < 0) {
+    return { error: 'sortOrder must be a non-negative integer' };
+  }
+  return { value: number };
+}
+
+// Creates missing articles and appends the image to the end of each article's order,
+// or places it at `sortOrder` when given (also for links that already exist).
+// Returns the article IDs that were not linked to the image before.
+async function linkImage(imageId, articleIds, { sortOrder } = {}) {
+  const newArticleIds = [];
+  const hasSortOrder = sortOrder !== undefined && sortOrder !== null;
+
+  for (const articleId of articleIds) {
+    const article = await run(`INSERT OR IGNORE INTO articles (article_id) VALUES (?)`, [articleId]);
+    if (article.changes > 0) {
+      await recordEvent('article.created', { article: articleEntry(await getArticle(articleId)) });
+    }
+    const link = await run(
+      `INSERT OR IGNORE INTO article_images (article_id, image_id, sort_order)
+       VALUES (?, ?, COALESCE(?, (SELECT COALESCE(MAX(sort_order), -1) + 1 FROM article_images WHERE article_id = ?)))`,
+      [articleId, imageId, hasSortOrder ? sortOrder : null, articleId]
+    );
+    if (link.changes > 0) {
+      newArticleIds.push(articleId);
+    } else if (hasSortOrder) {
+      await run(
+        `UPDATE article_images SET sort_order = ? WHERE article_id = ? AND image_id = ?`,
+        [sortOrder, articleId, imageId]
+      );
+    }
+  }
+
+  return newArticleIds;
+}
+
+async function unlinkImage(imageId, articleId) {
+  const result = await run(
+    `DELETE FROM article_images WHERE image_id = ? AND article_id = ?`,
+    [imageId, articleId]
+  );
+  return result.changes > 0;
+}
+
+// Moves the listed images to the front in the given order. Linked images that are not
+// listed keep their relative order behind them. Returns the uuids that are not linked
+// to the article, in which case nothing is changed.
+async function reorderImages(articleId, imageUuids) {
+  return transaction(async () => {
+    const links = await all(
+      `SELECT ai.id, i.uuid
+       FROM article_images ai
+       JOIN images i ON i.id = ai.image_id
+       WHERE ai.article_id = ?
+       ORDER BY ai.sort_order, ai.id`,
+      [articleId]
+    );
+
+    const linkedUuids = new Set(links.map(link => link.uuid));
+    const unknownUuids = imageUuids.filter(uuid => !linkedUuids.has(uuid));
+    if (unknownUuids.length > 0) {
+      return { unknownUuids };
+    }
+
+    const position = new Map(imageUuids.map((uuid, index) => [uuid, index]));
+    const ordered = [
+      ...imageUuids.map(uuid => links.find(link => link.uuid === uuid)),
+      ...links.filter(link => !position.has(link.uuid))
+    ];
+
+    for (const [index, link] of ordered.entries()) {
+      await run(`UPDATE article_images SET sort_order = ? WHERE id = ?`, [index, link.id]);
+    }
+
+    return { unknownUuids: [] };
+  });
+}
+
+// Returns false when the image is not linked to the article
+async function setPrimaryImage(articleId, imageId) {
+  return transaction(async () => {
+    const link = await get(
+      `SELECT id FROM article_images WHERE article_id = ? AND image_id = ?`,
+      [articleId, imageId]
+    );
+    if (!link) {
+      return false;
+    }
+
+    await run(`UPDATE article_images SET is_primary = 0 WHERE article_id = ? AND is_primary = 1`, [articleId]);
+    await run(`UPDATE article_images SET is_primary = 1 WHERE id = ?`, [link.id]);
+    return true;
+  });
+}
+
+module.exports = { parseArticleIds, parseSortOrder, linkImage, unlinkImage, reorderImages, setPrimaryImage };
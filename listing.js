@@ -0,0 +1,296 @@
+// Query-string parsing and keyset pagination for the list endpoints. Each parser returns
+// { error } or the SQL conditions, parameters and sort to use.
+
+const DEFAULT_PAGE_SIZE = 50;
+const MAX_PAGE_SIZE = 200;
+
+// Sort expressions never yield NULL, so they can be compared in a keyset condition
+const IMAGE_SORT_FIELDS = {
+  created_at: 'i.created_at',
+  size: 'COALESCE(i.size, -1)',
+  original_name: `COALESCE(i.original_name, '')`,
+  width: 'COALESCE(i.width, -1)',
+  height: 'COALESCE(i.height, -1)'
+};
+
+const ARTICLE_SORT_FIELDS = {
+  created_at: 'a.created_at',
+  article_id: 'a.article_id',
+  name: `COALESCE(a.name, '')`,
+  image_count: 'COUNT(i.id)'
+};
+
+// The display order of an article's images
+const ARTICLE_IMAGE_SORT = { field: 'sort_order', order: 'asc', column: 'ai.sort_order', idColumn: 'ai.id' };
+
+// Webhook delivery log, newest first
+const WEBHOOK_DELIVERY_SORT = { field: 'id', order: 'desc', column: 'd.id', idColumn: 'd.id' };
+
+function likePattern(text, { prefix = false } = {}) {
+  const escaped = text.replace(/[\\%_]/g, match => `\\${match}`);
+  return prefix ? `${escaped}%` : `%${escaped}%`;
+}
+
+function nonNegativeInteger(query, name) {
+  if (query[name] === undefined || query[name] === '') {
+    return { value: undefined };
+  }
+  const number = Number(query[name]);
+  if (!Number.isInteger(number) || number < 0) {
+    return { error: `${name} must be a non-negative integer` };
+  }
+  return { value: number };
+}
+
+// Accepts any date Date.parse understands and returns it in the format SQLite stores
+// CURRENT_TIMESTAMP in (UTC, "YYYY-MM-DD HH:MM:SS")
+function sqliteTimestamp(query, name) {
+  if (query[name] === undefined || query[name] === '') {
+    return { value: undefined };
+  }
+  const date = new Date(query[name]);
+  if (isNaN(date)) {
+    return { error: `${name} must be a date such as 2024-05-01 or 2024-05-01T12:00:00Z` };
+  }
+  return { value: date.toISOString().replace('T', ' ').slice(0, 19) };
+}
+
+function sortClause(query, fields, defaultField, idColumn) {
+  const field = query.sort || defaultField;
+  const column = fields[field];
+  if (!column) {
+    return { error: `sort must be one of: ${Object.keys(fields).join(', ')}` };
+  }
+
+  const order = (query.order || (field === defaultField ? 'desc' : 'asc')).toLowerCase();
+  if (order !== 'asc' && order !== 'desc') {
+    return { error: 'order must be asc or desc' };
+  }
+  return { field, order, column, idColumn };
+}
+
+// Filters for GET /api/images: articleIdPrefix, contentType (comma-separated), minSize,
+// maxSize, uploadedAfter, uploadedBefore, name (substring of the original file name),
+// plus sort and order
+function parseImageListQuery(query = {}) {
+  const conditions = ['i.deleted_at IS NULL'];
+  const params = [];
+
+  if (typeof query.articleIdPrefix === 'string' && query.articleIdPrefix !== '') {
+    conditions.push(
+      `EXISTS (SELECT 1 FROM article_images ai WHERE ai.image_id = i.id AND ai.article_id LIKE ? ESCAPE '\\')`
+    );
+    params.push(likePattern(query.articleIdPrefix, { prefix: true }));
+  }
+
+  if (typeof query.contentType === 'string' && query.contentType !== '') {
+    const types = query.contentType.split(',')
+      .map(type => type.trim().toLowerCase())
+      .filter(type => type)
+      .map(type => type === 'image/jpg' ? 'image/jpeg' : type);
+    if (types.length > 0) {
+      conditions.push(`i.content_type IN (${types.map(() => '?').join(', ')})`);
+      params.push(...types);
+    }
+  }
+
+  const minSize = nonNegativeInteger(query, 'minSize');
+  const maxSize = nonNegativeInteger(query, 'maxSize');
+  const uploadedAfter = sqliteTimestamp(query, 'uploadedAfter');
+  const uploadedBefore = sqliteTimestamp(query, 'uploadedBefore');
+  const sort = sortClause(query, IMAGE_SORT_FIELDS, 'created_at', 'i.id');
+
+  const invalid = [minSize, maxSize, uploadedAfter, uploadedBefore, sort].find(result => result.error);
+  if (invalid) {
+    return { error: invalid.error };
+  }
+
+  if (minSize.value !== undefined) {
+    conditions.push('i.size >= ?');
+    params.push(minSize.value);
+  }
+  if (maxSize.value !== undefined) {
+    conditions.push('i.size <= ?');
+    params.push(maxSize.value);
+  }
+  if (uploadedAfter.value !== undefined) {
+    conditions.push('i.created_at >= ?');
+    params.push(uploadedAfter.value);
+  }
+  if (uploadedBefore.value !== undefined) {
+    conditions.push('i.created_at < ?');
+    params.push(uploadedBefore.value);
+  }
+
+  if (typeof query.name === 'string' && query.name !== '') {
+    conditions.push(`i.original_name LIKE ? ESCAPE '\\'`);
+    params.push(likePattern(query.name));
+  }
+
+  return { where: conditions.join(' AND '), params, sort };
+}
+
+// Filters for GET /api/articles: q (substring of the article ID or name), category,
+// family, active and hasImages (true/false, counting only images that are not deleted),
+// plus sort and order
+function parseArticleListQuery(query = {}) {
+  const conditions = [];
+  const params = [];
+  let having = '';
+
+  if (typeof query.q === 'string' && query.q !== '') {
+    conditions.push(`(a.article_id LIKE ? ESCAPE '\\' OR a.name LIKE ? ESCAPE '\\')`);
+    params.push(likePattern(query.q), likePattern(query.q));
+  }
+
+  for (const field of ['category', 'family']) {
+    if (typeof query[field] === 'string' && query[field] !== '') {
+      conditions.push(`a.${field} = ?`);
+      params.push(query[field]);
+    }
+  }
+
+  for (const flag of ['active', 'hasImages']) {
+    if (query[flag] !== undefined && query[flag] !== '' && query[flag] !== 'true' && query[flag] !== 'false') {
+      return { error: `${flag} must be true or false` };
+    }
+  }
+
+  if (query.active === 'true' || query.active === 'false') {
+    conditions.push('a.active = ?');
+    params.push(query.active === 'true' ? 1 : 0);
+  }
+
+  if (query.hasImages === 'true' || query.hasImages === 'false') {
+    having = query.hasImages === 'true' ? 'COUNT(i.id) > 0' : 'COUNT(i.id) = 0';
+  }
+
+  const sort = sortClause(query, ARTICLE_SORT_FIELDS, 'created_at', 'a.article_id');
+  if (sort.error) {
+    return { error: sort.error };
+  }
+
+  return {
+    where: conditions.length > 0 ? conditions.join(' AND ') : '1 = 1',
+    having,
+    params,
+    sort
+  };
+}
+
+// Cursors are opaque to clients: base64url JSON with the sort they belong to, the sort
+// value and id of the row they point at, and the direction to read in
+function encodeCursor(sort, row, direction) {
+  const cursor = { s: sort.field, o: sort.order, v: row.sort_value, id: row.sort_id, d: direction };
+  return Buffer.from(JSON.stringify(cursor)).toString('base64url');
+}
+
+// Sort values and ids are SQL parameters: only strings and finite numbers (ids: integers)
+// compare like the values they were taken from
+function isCursorValue(value) {
+  return typeof value === 'string' || (typeof value === 'number' && Number.isFinite(value));
+}
+
+function isCursorId(id) {
+  return typeof id === 'string' || Number.isInteger(id);
+}
+
+function decodeCursor(text) {
+  try {
+    const cursor = JSON.parse(Buffer.from(text, 'base64url').toString('utf8'));
+    if (cursor && typeof cursor.s === 'string' && (cursor.d === 'next' || cursor.d === 'prev') &&
+        isCursorValue(cursor.v) && isCursorId(cursor.id)) {
+      return cursor;
+    }
+  } catch (error) {
+    // Falls through to the invalid cursor error
+  }
+  return null;
+}
+
+// limit (1-200, default 50) and cursor. Returns { limit, cursor } or { error }.
+function parsePageQuery(query = {}, sort) {
+  if (query.page !== undefined) {
+    return { error: 'page is not supported, follow pagination.nextCursor with the cursor parameter' };
+  }
+
+  let limit = DEFAULT_PAGE_SIZE;
+  if (query.limit !== undefined) {
+    limit = Number(query.limit);
+    if (!Number.isInteger(limit) || limit < 1 || limit > MAX_PAGE_SIZE) {
+      return { error: `limit must be an integer between 1 and ${MAX_PAGE_SIZE}` };
+    }
+  }
+
+  if (query.cursor === undefined || query.cursor === '') {
+    return { limit, cursor: null };
+  }
+
+  const cursor = typeof query.cursor === 'string' ? decodeCursor(query.cursor) : null;
+  if (!cursor) {
+    return { error: 'cursor is invalid' };
+  }
+  if (cursor.s !== sort.field || cursor.o !== sort.order) {
+    return { error: 'cursor belongs to a different sort, start again without a cursor' };
+  }
+  return { limit, cursor: { value: cursor.v, id: cursor.id, direction: cursor.d } };
+}
+
+// Wraps a query that selects `sort_value` and `sort_id` columns in the keyset condition,
+// order and limit for one page. One extra row is read to tell whether more pages follow.
+function pageQuery(sql, params, sort, page) {
+  const forward = !page.cursor || page.cursor.direction === 'next';
+  const ascending = (sort.order === 'asc') === forward;
+  const direction = ascending ? 'ASC' : 'DESC';
+  const pageParams = [...params];
+
+  let keyset = '';
+  if (page.cursor) {
+    keyset = `WHERE (sort_value, sort_id) ${ascending ? '>' : '<'} (?, ?)`;
+    pageParams.push(page.cursor.value, page.cursor.id);
+  }
+  pageParams.push(page.limit + 1);
+
+  return {
+    sql: `SELECT * FROM (${sql}) ${keyset} ORDER BY sort_value ${direction}, sort_id ${direction} LIMIT ?`,
+    params: pageParams
+  };
+}
+
+// Turns the rows read with pageQuery into { rows, pagination }
+function buildPage(rows, sort, page) {
+  const forward = !page.cursor || page.cursor.direction === 'next';
+  const hasMore = rows.length > page.limit;
+  const pageRows = rows.slice(0, page.limit);
+  if (!forward) {
+    pageRows.reverse();
+  }
+
+  // Reading backwards means the page we came from follows this one
+  const hasNextPage = forward ? hasMore : true;
+  const hasPrevPage = forward ? Boolean(page.cursor) : hasMore;
+  const first = pageRows[0];
+  const last = pageRows[pageRows.length - 1];
+
+  return {
+    rows: pageRows.map(({ sort_value, sort_id, ...row }) => row),
+    pagination: {
+      limit: page.limit,
+      nextCursor: hasNextPage && last ? encodeCursor(sort, last, 'next') : null,
+      prevCursor: hasPrevPage && first ? encodeCursor(sort, first, 'prev') : null,
+      hasNextPage: Boolean(hasNextPage && last),
+      hasPrevPage: Boolean(hasPrevPage && first)
+    }
+  };
+}
+
+module.exports = {
+  MAX_PAGE_SIZE,
+  ARTICLE_IMAGE_SORT,
+  WEBHOOK_DELIVERY_SORT,
+  parseImageListQuery,
+  parseArticleListQuery,
+  parsePageQuery,
+  pageQuery,
+  buildPage
+};
@@ -0,0 +1,59 @@
+const { AsyncLocalStorage } = require('async_hooks');
+const { config } = require('./config');
+
+const LEVELS = { debug: 10, info: 20, warn: 30, error: 40 };
+const minimumLevel = LEVELS[config.logLevel];
+
+// Holds { requestId } while a request is handled, so log lines written anywhere below the
+// request middleware carry its ID without passing it around
+const requestContext = new AsyncLocalStorage();
+
+function serialize(value) {
+  if (value instanceof Error) {
+    return { name: value.name, message: value.message, code: value.code, stack: value.stack };
+  }
+  return value;
+}
+
+// One JSON object per line: time, level, msg, requestId when inside a request, then fields.
+// Warnings and errors go to stderr, the rest to stdout.
+function write(level, message, fields = {}) {
+  if (LEVELS[level] < minimumLevel) {
+    return;
+  }
+
+  const context = requestContext.getStore();
+  const entry = { time: new Date().toISOString(), level, msg: message };
+  if (context) {
+    entry.requestId = context.requestId;
+  }
+  Object.entries(fields).forEach(([name, value]) => {
+    entry[name] = serialize(value);
+  });
+
+  let line;
+  try {
+    line = JSON.stringify(entry);
+  } catch (error) {
+    line = JSON.stringify({ time: entry.time, level, msg: message, requestId: entry.requestId, logError: error.message });
+  }
+  (LEVELS[level] >= LEVELS.warn ? process.stderr : process.stdout).write(`${line}\n`);
+}
+
+// Body parsers call next() from stream events, outside the request's context; this runs
+// the rest of the chain inside it again
+function withRequestContext(middleware) {
+  return (req, res, next) => {
+    const store = requestContext.getStore();
+    middleware(req, res, error => requestContext.run(store, () => next(error)));
+  };
+}
+
+const logger = {
+  debug: (message, fields) => write('debug', message, fields),
+  info: (message, fields) => write('info', message, fields),
+  warn: (message, fields) => write('warn', message, fields),
+  error: (message, fields) => write('error', message, fields)
+};
+
+module.exports = { logger, requestContext, withRequestContext };
@@ -0,0 +1,31 @@
+const sharp = require('sharp');
+
+const PLACEHOLDER_SIZE = 16;
+
+function toHex({ r, g, b }) {
+  return '#' + [r, g, b].map(channel => channel.toString(16).padStart(2, '0')).join('');
+}
+
+// Decodes an image and returns what frontends need before the real image loads:
+// pixel size, dominant color, alpha flag and a tiny blurred WebP data URI (LQIP)
+async function extractMetadata(buffer) {
+  const image = sharp(buffer);
+  const { width, height, hasAlpha } = await image.metadata();
+  const { dominant } = await image.stats();
+
+  const placeholder = await sharp(buffer)
+    .resize(PLACEHOLDER_SIZE, PLACEHOLDER_SIZE, { fit: 'inside' })
+    .blur()
+    .webp({ quality: 40 })
+    .toBuffer();
+
+  return {
+    width: width,
+    height: height,
+    dominantColor: toHex(dominant),
+    hasAlpha: Boolean(hasAlpha),
+    placeholder: `data:image/webp;base64,${placeholder.toString('base64')}`
+  };
+}
+
+module.exports = { extractMetadata };
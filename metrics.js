@@ -0,0 +1,110 @@
+// A small Prometheus registry: counters and histograms with labels, rendered in the text
+// exposition format for GET /metrics. Values live in this process only.
+
+const DURATION_BUCKETS = [0.005, 0.01, 0.025, 0.05, 0.1, 0.25, 0.5, 1, 2.5, 5, 10];
+
+const registry = [];
+
+function escapeLabel(value) {
+  return String(value).replace(/\\/g, '\\\\').replace(/\n/g, '\\n').replace(/"/g, '\\"');
+}
+
+function formatLabels(labels) {
+  const pairs = Object.entries(labels).map(([name, value]) => `${name}="${escapeLabel(value)}"`);
+  return pairs.length > 0 ? `{${pairs.join(',')}}` : '';
+}
+
+// Series are keyed by their label values in a fixed order, so { a, b } and { b, a } match
+function seriesKey(labelNames, labels) {
+  return JSON.stringify(labelNames.map(name => labels[name] === undefined ? '' : String(labels[name])));
+}
+
+function pickLabels(labelNames, labels) {
+  return Object.fromEntries(labelNames.map(name => [name, labels[name] === undefined ? '' : labels[name]]));
+}
+
+function counter(name, help, labelNames = []) {
+  const series = new Map();
+
+  const metric = {
+    inc(labels = {}, amount = 1) {
+      const key = seriesKey(labelNames, labels);
+      const entry = series.get(key) || { labels: pickLabels(labelNames, labels), value: 0 };
+      entry.value += amount;
+      series.set(key, entry);
+    },
+
+    render() {
+      const lines = [`# HELP ${name} ${help}`, `# TYPE ${name} counter`];
+      series.forEach(entry => lines.push(`${name}${formatLabels(entry.labels)} ${entry.value}`));
+      return lines;
+    }
+  };
+  registry.push(metric);
+  return metric;
+}
+
+function histogram(name, help, labelNames = [], buckets = DURATION_BUCKETS) {
+  const series = new Map();
+
+  const metric = {
+    observe(labels, value) {
+      const key = seriesKey(labelNames, labels);
+      let entry = series.get(key);
+      if (!entry) {
+        entry = { labels: pickLabels(labelNames, labels), counts: buckets.map(() => 0), sum: 0, count: 0 };
+        series.set(key, entry);
+      }
+      buckets.forEach((bound, index) => {
+        if (value <= bound) {
+          entry.counts[index]++;
+        }
+      });
+      entry.sum += value;
+      entry.count++;
+    },
+
+    // Returns a function that records the seconds elapsed since the call; labels given to
+    // it are added to the ones given here
+    startTimer(labels = {}) {
+      const start = process.hrtime.bigint();
+      return (moreLabels = {}) => {
+        metric.observe({ ...labels, ...moreLabels }, Number(process.hrtime.bigint() - start) / 1e9);
+      };
+    },
+
+    render() {
+      const lines = [`# HELP ${name} ${help}`, `# TYPE ${name} histogram`];
+      series.forEach(entry => {
+        buckets.forEach((bound, index) => {
+          lines.push(`${name}_bucket${formatLabels({ ...entry.labels, le: bound })} ${entry.counts[index]}`);
+        });
+        lines.push(`${name}_bucket${formatLabels({ ...entry.labels, le: '+Inf' })} ${entry.count}`);
+        lines.push(`${name}_sum${formatLabels(entry.labels)} ${entry.sum}`);
+        lines.push(`${name}_count${formatLabels(entry.labels)} ${entry.count}`);
+      });
+      return lines;
+    }
+  };
+  registry.push(metric);
+  return metric;
+}
+
+const metrics = {
+  httpRequests: counter('catalog_http_requests_total', 'HTTP requests by route and status', ['method', 'route', 'status']),
+  httpRequestDuration: histogram('catalog_http_request_duration_seconds', 'HTTP request latency', ['method', 'route']),
+  uploads: counter('catalog_uploads_total', 'Ingested image uploads by source and result', ['source', 'result']),
+  uploadBytes: counter('catalog_upload_bytes_total', 'Bytes of accepted image uploads', ['source']),
+  serveDuration: histogram('catalog_image_serve_duration_seconds', 'Time to serve an image or variant', ['kind', 'status']),
+  storageOperationDuration: histogram('catalog_storage_operation_duration_seconds', 'Storage backend call latency', ['operation']),
+  storageErrors: counter('catalog_storage_errors_total', 'Failed storage backend calls', ['operation']),
+  dbQueryDuration: histogram('catalog_db_query_duration_seconds', 'SQLite query latency', ['operation']),
+  dbErrors: counter('catalog_db_errors_total', 'Failed SQLite queries', ['operation']),
+  webhookDeliveries: counter('catalog_webhook_deliveries_total', 'Webhook delivery attempts by outcome', ['result'])
+};
+
+function renderMetrics() {
+  return `${registry.map(metric => metric.render().join('\n')).join('\n')}\n`;
+}
+
+module.exports = { metrics, renderMetrics };
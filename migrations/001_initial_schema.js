@@ -0,0 +1,26 @@
+// Original layout: one images row per article-image pair
+module.exports = {
+  description: 'Create articles and images tables',
+
+  async up() {
+    return [
+      `CREATE TABLE IF NOT EXISTS articles (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        article_id TEXT UNIQUE,
+        created_at DATETIME DEFAULT CURRENT_TIMESTAMP
+      )`,
+      `CREATE TABLE IF NOT EXISTS images (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        uuid TEXT UNIQUE,
+        article_id TEXT,
+        original_name TEXT,
+        s3_key TEXT,
+        s3_url TEXT,
+        content_type TEXT,
+        size INTEGER,
+        created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+        FOREIGN KEY (article_id) REFERENCES articles (article_id)
+      )`
+    ];
+  }
+};
@@ -0,0 +1,14 @@
+module.exports = {
+  description: 'Add images.content_hash for upload deduplication',
+
+  async up(schema) {
+    const statements = [];
+
+    if (!(await schema.columnNames('images')).includes('content_hash')) {
+      statements.push(`ALTER TABLE images ADD COLUMN content_hash TEXT`);
+    }
+    statements.push(`CREATE INDEX IF NOT EXISTS idx_images_content_hash ON images (content_hash)`);
+
+    return statements;
+  }
+};
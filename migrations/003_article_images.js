@@ -0,0 +1,64 @@
+// Collapses the per-article images rows, which shared one s3_key, into one row per
+// stored object plus article_images links. The uuids of the dropped duplicates are
+// kept in image_aliases so URLs handed out earlier keep working.
+module.exports = {
+  description: 'Normalize images into images plus article_images',
+
+  async up(schema) {
+    const statements = [
+      `CREATE TABLE IF NOT EXISTS article_images (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        article_id TEXT NOT NULL,
+        image_id INTEGER NOT NULL,
+        created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+        UNIQUE (article_id, image_id),
+        FOREIGN KEY (article_id) REFERENCES articles (article_id),
+        FOREIGN KEY (image_id) REFERENCES images (id)
+      )`,
+      `CREATE TABLE IF NOT EXISTS image_aliases (
+        uuid TEXT PRIMARY KEY,
+        image_id INTEGER NOT NULL,
+        FOREIGN KEY (image_id) REFERENCES images (id)
+      )`
+    ];
+
+    if ((await schema.columnNames('images')).includes('article_id')) {
+      statements.push(
+        `CREATE TABLE images_normalized (
+          id INTEGER PRIMARY KEY AUTOINCREMENT,
+          uuid TEXT UNIQUE,
+          original_name TEXT,
+          s3_key TEXT UNIQUE,
+          s3_url TEXT,
+          content_type TEXT,
+          size INTEGER,
+          content_hash TEXT,
+          created_at DATETIME DEFAULT CURRENT_TIMESTAMP
+        )`,
+        `INSERT INTO images_normalized (id, uuid, original_name, s3_key, s3_url, content_type, size, content_hash, created_at)
+         SELECT id, uuid, original_name, s3_key, s3_url, content_type, size, content_hash, created_at
+         FROM images
+         WHERE id IN (SELECT MIN(id) FROM images GROUP BY s3_key)`,
+        `INSERT OR IGNORE INTO article_images (article_id, image_id, created_at)
+         SELECT old.article_id, n.id, old.created_at
+         FROM images old
+         JOIN images_normalized n ON n.s3_key = old.s3_key
+         WHERE old.article_id IS NOT NULL`,
+        `INSERT OR IGNORE INTO image_aliases (uuid, image_id)
+         SELECT old.uuid, n.id
+         FROM images old
+         JOIN images_normalized n ON n.s3_key = old.s3_key
+         WHERE old.id <> n.id`,
+        `DROP TABLE images`,
+        `ALTER TABLE images_normalized RENAME TO images`
+      );
+    }
+
+    statements.push(
+      `CREATE INDEX IF NOT EXISTS idx_images_content_hash ON images (content_hash)`,
+      `CREATE INDEX IF NOT EXISTS idx_article_images_image_id ON article_images (image_id)`
+    );
+
+    return statements;
+  }
+};
@@ -0,0 +1,23 @@
+module.exports = {
+  description: 'Add image_variants for resized and re-encoded copies',
+
+  async up() {
+    return [
+      `CREATE TABLE IF NOT EXISTS image_variants (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        image_id INTEGER NOT NULL,
+        variant_key TEXT NOT NULL,
+        s3_key TEXT NOT NULL,
+        width INTEGER,
+        height INTEGER,
+        fit TEXT,
+        format TEXT,
+        content_type TEXT,
+        size INTEGER,
+        created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+        UNIQUE (image_id, variant_key),
+        FOREIGN KEY (image_id) REFERENCES images (id)
+      )`
+    ];
+  }
+};
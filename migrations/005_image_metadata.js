@@ -0,0 +1,19 @@
+const COLUMNS = {
+  width: 'INTEGER',
+  height: 'INTEGER',
+  dominant_color: 'TEXT',
+  has_alpha: 'INTEGER',
+  placeholder: 'TEXT'
+};
+
+module.exports = {
+  description: 'Add decoded image dimensions, dominant color, alpha flag and placeholder',
+
+  async up(schema) {
+    const existing = await schema.columnNames('images');
+
+    return Object.entries(COLUMNS)
+      .filter(([column]) => !existing.includes(column))
+      .map(([column, type]) => `ALTER TABLE images ADD COLUMN ${column} ${type}`);
+  }
+};
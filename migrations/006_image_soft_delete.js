@@ -0,0 +1,14 @@
+module.exports = {
+  description: 'Add images.deleted_at for soft deletes',
+
+  async up(schema) {
+    const statements = [];
+
+    if (!(await schema.columnNames('images')).includes('deleted_at')) {
+      statements.push(`ALTER TABLE images ADD COLUMN deleted_at DATETIME`);
+    }
+    statements.push(`CREATE INDEX IF NOT EXISTS idx_images_deleted_at ON images (deleted_at)`);
+
+    return statements;
+  }
+};
@@ -0,0 +1,31 @@
+module.exports = {
+  description: 'Add display order and primary flag to article_images',
+
+  async up(schema) {
+    const existing = await schema.columnNames('article_images');
+    const statements = [];
+
+    if (!existing.includes('sort_order')) {
+      statements.push(
+        `ALTER TABLE article_images ADD COLUMN sort_order INTEGER NOT NULL DEFAULT 0`,
+        // Keep the previous newest-first order for links that already exist
+        `UPDATE article_images SET sort_order = (
+           SELECT COUNT(*) FROM article_images other
+           WHERE other.article_id = article_images.article_id
+             AND (other.created_at > article_images.created_at
+               OR (other.created_at = article_images.created_at AND other.id > article_images.id))
+         )`
+      );
+    }
+    if (!existing.includes('is_primary')) {
+      statements.push(`ALTER TABLE article_images ADD COLUMN is_primary INTEGER NOT NULL DEFAULT 0`);
+    }
+
+    statements.push(
+      `CREATE INDEX IF NOT EXISTS idx_article_images_order ON article_images (article_id, sort_order)`,
+      `CREATE UNIQUE INDEX IF NOT EXISTS idx_article_images_primary ON article_images (article_id) WHERE is_primary = 1`
+    );
+
+    return statements;
+  }
+};
@@ -0,0 +1,18 @@
+module.exports = {
+  description: 'Add api_keys for Authorization header authentication',
+
+  async up() {
+    return [
+      `CREATE TABLE IF NOT EXISTS api_keys (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        key_id TEXT UNIQUE NOT NULL,
+        key_hash TEXT NOT NULL,
+        name TEXT NOT NULL,
+        scopes TEXT NOT NULL,
+        created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+        last_used_at DATETIME,
+        revoked_at DATETIME
+      )`
+    ];
+  }
+};
@@ -0,0 +1,10 @@
+module.exports = {
+  description: 'Add images.alt_text',
+
+  async up(schema) {
+    if ((await schema.columnNames('images')).includes('alt_text')) {
+      return [];
+    }
+    return [`ALTER TABLE images ADD COLUMN alt_text TEXT`];
+  }
+};
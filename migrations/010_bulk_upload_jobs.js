@@ -0,0 +1,35 @@
+module.exports = {
+  description: 'Add bulk_upload_jobs and bulk_upload_entries for ZIP archive uploads',
+
+  async up() {
+    return [
+      `CREATE TABLE IF NOT EXISTS bulk_upload_jobs (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        job_id TEXT UNIQUE NOT NULL,
+        status TEXT NOT NULL DEFAULT 'queued',
+        archive_name TEXT,
+        archive_path TEXT NOT NULL,
+        source TEXT NOT NULL,
+        error TEXT,
+        created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+        started_at DATETIME,
+        finished_at DATETIME
+      )`,
+      `CREATE TABLE IF NOT EXISTS bulk_upload_entries (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        job_id INTEGER NOT NULL,
+        entry_name TEXT NOT NULL,
+        article_ids TEXT NOT NULL,
+        sort_order INTEGER,
+        alt_text TEXT,
+        status TEXT NOT NULL DEFAULT 'pending',
+        image_uuid TEXT,
+        error TEXT,
+        code TEXT,
+        processed_at DATETIME,
+        FOREIGN KEY (job_id) REFERENCES bulk_upload_jobs (id) ON DELETE CASCADE
+      )`,
+      `CREATE INDEX IF NOT EXISTS idx_bulk_upload_entries_job ON bulk_upload_entries (job_id)`
+    ];
+  }
+};
@@ -0,0 +1,28 @@
+module.exports = {
+  description: 'Add direct_uploads for presigned uploads straight to storage',
+
+  async up() {
+    return [
+      `CREATE TABLE IF NOT EXISTS direct_uploads (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        upload_id TEXT UNIQUE NOT NULL,
+        image_uuid TEXT NOT NULL,
+        s3_key TEXT NOT NULL,
+        original_name TEXT,
+        content_type TEXT NOT NULL,
+        size INTEGER NOT NULL,
+        article_ids TEXT NOT NULL,
+        sort_order INTEGER,
+        alt_text TEXT,
+        status TEXT NOT NULL DEFAULT 'pending',
+        deduplicated INTEGER,
+        error TEXT,
+        code TEXT,
+        created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+        expires_at DATETIME NOT NULL,
+        completed_at DATETIME
+      )`,
+      `CREATE INDEX IF NOT EXISTS idx_direct_uploads_status ON direct_uploads (status, expires_at)`
+    ];
+  }
+};
@@ -0,0 +1,27 @@
+module.exports = {
+  description: 'Add catalog metadata to articles',
+
+  async up(schema) {
+    const existing = await schema.columnNames('articles');
+    const columns = {
+      name: 'TEXT',
+      description: 'TEXT',
+      category: 'TEXT',
+      family: 'TEXT',
+      // JSON object, NULL when empty
+      attributes: 'TEXT',
+      active: 'INTEGER NOT NULL DEFAULT 1',
+      updated_at: 'DATETIME'
+    };
+
+    const statements = Object.entries(columns)
+      .filter(([column]) => !existing.includes(column))
+      .map(([column, type]) => `ALTER TABLE articles ADD COLUMN ${column} ${type}`);
+
+    statements.push(
+      `CREATE INDEX IF NOT EXISTS idx_articles_category ON articles (category)`,
+      `CREATE INDEX IF NOT EXISTS idx_articles_family ON articles (family)`
+    );
+    return statements;
+  }
+};
@@ -0,0 +1,14 @@
+module.exports = {
+  description: 'Add storage_cleanup for objects left behind by failed uploads',
+
+  async up() {
+    return [
+      `CREATE TABLE IF NOT EXISTS storage_cleanup (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        s3_key TEXT UNIQUE NOT NULL,
+        reason TEXT,
+        created_at DATETIME DEFAULT CURRENT_TIMESTAMP
+      )`
+    ];
+  }
+};
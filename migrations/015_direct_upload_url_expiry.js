@@ -0,0 +1,15 @@
+module.exports = {
+  description: 'Add direct_uploads.url_expires_at and staged_cleanup_at, to remove files sent after an upload was closed',
+
+  async up(schema) {
+    const columns = await schema.columnNames('direct_uploads');
+    const statements = [];
+    if (!columns.includes('url_expires_at')) {
+      statements.push(`ALTER TABLE direct_uploads ADD COLUMN url_expires_at DATETIME`);
+    }
+    if (!columns.includes('staged_cleanup_at')) {
+      statements.push(`ALTER TABLE direct_uploads ADD COLUMN staged_cleanup_at DATETIME`);
+    }
+    return statements;
+  }
+};
@@ -0,0 +1,109 @@
+const fs = require('fs');
+const path = require('path');
+const { run, get, all, exec, transaction } = require('./db');
+
+const MIGRATIONS_DIR = path.join(__dirname, 'migrations');
+
+// Migration files are named NNN_description.js and export { description, up(schema) }.
+// up() inspects the current schema and returns the SQL statements to run, which lets
+// dry runs print exactly what would be executed.
+function loadMigrations() {
+  return fs.readdirSync(MIGRATIONS_DIR)
+    .filter(file => /^\d+_.+\.js$/.test(file))
+    .map(file => ({
+      version: parseInt(file),
+      name: path.parse(file).name,
+      ...require(path.join(MIGRATIONS_DIR, file))
+    }))
+    .sort((a, b) => a.version - b.version);
+}
+
+const schema = {
+  async columnNames(table) {
+    const columns = await all(`PRAGMA table_info(${table})`);
+    return columns.map(column => column.name);
+  },
+
+  async tableExists(table) {
+    const row = await get(`SELECT name FROM sqlite_master WHERE type = 'table' AND name = ?`, [table]);
+    return Boolean(row);
+  }
+};
+
+async function ensureVersionTable() {
+  await run(`CREATE TABLE IF NOT EXISTS schema_version (
+    version INTEGER PRIMARY KEY,
+    name TEXT NOT NULL,
+    applied_at DATETIME DEFAULT CURRENT_TIMESTAMP
+  )`);
+}
+
+async function status() {
+  await ensureVersionTable();
+  const applied = await all(`SELECT version, name, applied_at FROM schema_version ORDER BY version`);
+  const appliedByVersion = new Map(applied.map(row => [row.version, row]));
+
+  return loadMigrations().map(migration => ({
+    version: migration.version,
+    name: migration.name,
+    description: migration.description,
+    appliedAt: appliedByVersion.has(migration.version) ? appliedByVersion.get(migration.version).applied_at : null
+  }));
+}
+
+// Runs the migration's statements and records it as applied. Returns the statements.
+async function apply(migration) {
+  try {
+    const statements = await migration.up(schema);
+    for (const statement of statements) {
+      await exec(statement);
+    }
+    await run(`INSERT INTO schema_version (version, name) VALUES (?, ?)`, [migration.version, migration.name]);
+    return statements;
+  } catch (err) {
+    err.message = `Migration ${migration.name} failed: ${err.message}`;
+    throw err;
+  }
+}
+
+// Thrown at the end of a dry run to roll it back
+class DryRunComplete extends Error {}
+
+// Each migration runs in its own transaction. A dry run applies all pending migrations
+// inside one transaction, so later migrations see the schema earlier ones produce,
+// prints their SQL and rolls everything back.
+async function migrate({ dryRun = false, log = () => {} } = {}) {
+  const migrations = loadMigrations();
+  const pending = (await status())
+    .filter(migration => !migration.appliedAt)
+    .map(entry => ({ entry, migration: migrations.find(candidate => candidate.version === entry.version) }));
+  const applied = [];
+
+  if (dryRun) {
+    try {
+      await transaction(async () => {
+        for (const { entry, migration } of pending) {
+          const statements = await apply(migration);
+          log(`-- ${migration.name}: ${migration.description}`);
+          statements.forEach(statement => log(`${statement};\n`));
+          applied.push({ ...entry, statements });
+        }
+        throw new DryRunComplete();
+      });
+    } catch (err) {
+      if (!(err instanceof DryRunComplete)) {
+        throw err;
+      }
+    }
+    return applied;
+  }
+
+  for (const { entry, migration } of pending) {
+    const statements = await transaction(() => apply(migration));
+    log(`Applied ${migration.name}`);
+    applied.push({ ...entry, statements });
+  }
+  return applied;
+}
+
+module.exports = { migrate, status, loadMigrations };
@@ -0,0 +1,87 @@
+const { get, all, run, transaction } = require('./db');
+const { recordEvent } = require('./webhooks');
+const { logger } = require('./logger');
+
+// Permanently removes soft-deleted images. Database rows go first, in one transaction;
+// storage objects are deleted afterwards and only when no remaining image or variant
+// row references their key. Articles left without any image by this purge are removed
+// too, unless they carry catalog data; articles that never had images are kept.
+async function purgeDeletedImages(storage, { olderThanDays = 0 } = {}) {
+  const images = await all(
+    `SELECT id, uuid, s3_key FROM images
+     WHERE deleted_at IS NOT NULL AND deleted_at <= datetime('now', ?)`,
+    [`-${olderThanDays} days`]
+  );
+
+  if (images.length === 0) {
+    return { purgedImages: [], deletedObjects: [], storageErrors: [], removedArticles: [] };
+  }
+
+  const { candidateKeys, removedArticles } = await transaction(async () => {
+    const keys = [];
+    const affectedArticles = new Set();
+
+    for (const image of images) {
+      const variants = await all(`SELECT s3_key FROM image_variants WHERE image_id = ?`, [image.id]);
+      const links = await all(`SELECT article_id FROM article_images WHERE image_id = ?`, [image.id]);
+
+      keys.push(image.s3_key, ...variants.map(variant => variant.s3_key));
+      links.forEach(link => affectedArticles.add(link.article_id));
+
+      await run(`DELETE FROM image_variants WHERE image_id = ?`, [image.id]);
+      await run(`DELETE FROM article_images WHERE image_id = ?`, [image.id]);
+      await run(`DELETE FROM image_aliases WHERE image_id = ?`, [image.id]);
+      await run(`DELETE FROM images WHERE id = ?`, [image.id]);
+      await recordEvent('image.purged', { image: { uuid: image.uuid }, articleIds: links.map(link => link.article_id) });
+    }
+
+    const removed = [];
+    for (const articleId of affectedArticles) {
+      const result = await run(
+        `DELETE FROM articles
+         WHERE article_id = ? AND NOT EXISTS (SELECT 1 FROM article_images WHERE article_id = ?)
+           AND name IS NULL AND description IS NULL AND category IS NULL AND family IS NULL
+           AND attributes IS NULL`,
+        [articleId, articleId]
+      );
+      if (result.changes > 0) {
+        removed.push(articleId);
+      }
+    }
+
+    return { candidateKeys: keys, removedArticles: removed };
+  });
+
+  const deletedObjects = [];
+  const storageErrors = [];
+
+  for (const key of new Set(candidateKeys)) {
+    const stillReferenced = await get(
+      `SELECT 1 AS referenced FROM images WHERE s3_key = ?
+       UNION ALL
+       SELECT 1 FROM image_variants WHERE s3_key = ?
+       LIMIT 1`,
+      [key, key]
+    );
+    if (stillReferenced) {
+      continue;
+    }
+
+    try {
+      await storage.delete(key);
+      deletedObjects.push(key);
+    } catch (storageError) {
+      logger.error('Storage delete error', { key, error: storageError });
+      storageErrors.push({ key, error: storageError.message });
+    }
+  }
+
+  return {
+    purgedImages: images.map(image => image.uuid),
+    deletedObjects,
+    storageErrors,
+    removedArticles
+  };
+}
+
+module.exports = { purgeDeletedImages };
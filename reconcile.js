@@ -0,0 +1,88 @@
+const { run, all } = require('./db');
+const { logger } = require('./logger');
+
+// Objects younger than this may belong to an upload whose transaction has not committed yet
+const DEFAULT_MIN_AGE_MINUTES = 60;
+
+// Compares storage with the database and reports objects no record references and records
+// whose object is missing. With `fix`, unreferenced objects older than minAgeMinutes (or
+// marked in storage_cleanup, at any age) are deleted and variant rows without an object are
+// removed, so the variant is rendered again on request. Images without an object are only
+// reported: their bytes cannot be recovered from here.
+async function reconcileStorage(storage, { fix = false, minAgeMinutes = DEFAULT_MIN_AGE_MINUTES } = {}) {
+  // Records are read before listing storage. Objects are always stored before their record,
+  // so a record written meanwhile cannot show up as missing.
+  const images = await all(`SELECT id, uuid, s3_key, deleted_at FROM images ORDER BY id`);
+  const variants = await all(
+    `SELECT v.id, v.s3_key, v.variant_key, i.uuid
+     FROM image_variants v
+     JOIN images i ON i.id = v.image_id
+     ORDER BY v.id`
+  );
+  const pendingUploads = await all(`SELECT s3_key FROM direct_uploads WHERE status = 'pending'`);
+  const markedKeys = new Set((await all(`SELECT s3_key FROM storage_cleanup`)).map(row => row.s3_key));
+
+  const objects = await storage.list();
+  const storedKeys = new Set(objects.map(object => object.key));
+  const referencedKeys = new Set([...images, ...variants, ...pendingUploads].map(row => row.s3_key));
+
+  const report = {
+    scannedObjects: objects.length,
+    orphanedObjects: objects
+      .filter(object => !referencedKeys.has(object.key))
+      .map(object => ({
+        key: object.key,
+        size: object.size,
+        lastModified: object.lastModified ? new Date(object.lastModified).toISOString() : null,
+        markedForCleanup: markedKeys.has(object.key)
+      })),
+    missingImages: images
+      .filter(image => !storedKeys.has(image.s3_key))
+      .map(image => ({ uuid: image.uuid, key: image.s3_key, deleted: Boolean(image.deleted_at) })),
+    missingVariants: variants
+      .filter(variant => !storedKeys.has(variant.s3_key))
+      .map(variant => ({ id: variant.id, uuid: variant.uuid, variantKey: variant.variant_key, key: variant.s3_key })),
+    deletedObjects: [],
+    removedVariants: [],
+    skippedRecent: [],
+    storageErrors: []
+  };
+
+  if (!fix) {
+    return report;
+  }
+
+  const cutoff = Date.now() - minAgeMinutes * 60 * 1000;
+
+  for (const orphan of report.orphanedObjects) {
+    if (!orphan.markedForCleanup && orphan.lastModified && Date.parse(orphan.lastModified) > cutoff) {
+      report.skippedRecent.push(orphan.key);
+      continue;
+    }
+
+    try {
+      await storage.delete(orphan.key);
+      report.deletedObjects.push(orphan.key);
+    } catch (storageError) {
+      logger.error('Storage delete error', { key: orphan.key, error: storageError });
+      report.storageErrors.push({ key: orphan.key, error: storageError.message });
+    }
+  }
+
+  // Marks are done once their object is gone, or when a record took the key after all
+  const deleted = new Set(report.deletedObjects);
+  for (const key of markedKeys) {
+    if (deleted.has(key) || !storedKeys.has(key) || referencedKeys.has(key)) {
+      await run(`DELETE FROM storage_cleanup WHERE s3_key = ?`, [key]);
+    }
+  }
+
+  for (const variant of report.missingVariants) {
+    await run(`DELETE FROM image_variants WHERE id = ?`, [variant.id]);
+    report.removedVariants.push(variant.key);
+  }
+
+  return report;
+}
+
+module.exports = { DEFAULT_MIN_AGE_MINUTES, reconcileStorage };
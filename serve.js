@@ -0,0 +1,201 @@
+const { pipeline, Transform } = require('stream');
+const contentDisposition = require('content-disposition');
+const { logger } = require('./logger');
+
+// SQLite CURRENT_TIMESTAMP values are UTC without a zone suffix
+function httpDate(timestamp) {
+  if (!timestamp) {
+    return undefined;
+  }
+  const date = new Date(`${String(timestamp).replace(' ', 'T')}Z`);
+  return isNaN(date) ? undefined : date.toUTCString();
+}
+
+// Which byte range to send: undefined for the whole object, { start, end } for one range,
+// or null when the range cannot be satisfied. Multiple ranges and malformed headers fall
+// back to the whole object, as do ranges whose If-Range validator no longer matches.
+function requestedRange(req, size, { etag, lastModified }) {
+  if (!req.get('range')) {
+    return undefined;
+  }
+
+  const ifRange = req.get('if-range');
+  if (ifRange && ifRange !== etag && ifRange !== lastModified) {
+    return undefined;
+  }
+
+  const ranges = req.range(size, { combine: true });
+  if (ranges === -1) {
+    return null;
+  }
+  if (ranges === -2 || !ranges || ranges.type !== 'bytes' || ranges.length !== 1) {
+    return undefined;
+  }
+  return ranges[0];
+}
+
+// Passes chunks through and hands the whole body to onComplete once the source has ended
+function collectBody(onComplete) {
+  const chunks = [];
+  let length = 0;
+  return new Transform({
+    transform(chunk, encoding, callback) {
+      chunks.push(chunk);
+      length += chunk.length;
+      callback(null, chunk);
+    },
+    flush(callback) {
+      onComplete(Buffer.concat(chunks, length));
+      callback();
+    }
+  });
+}
+
+// Sends a stored object with validators, answering conditional requests with 304 and
+// Range requests with 206 without reading more than needed. The bytes come from `body`
+// when already in memory, then from `cache`, otherwise they are streamed from storage
+// (only the requested range for Range requests). A complete streamed read of an object
+// the cache accepts fills the cache on the way, and concurrent requests for the object
+// wait for that read instead of starting their own.
+async function sendStoredObject(req, res, storage, { key, body, size, contentType, etag, lastModified, filename, cacheControl, cache }) {
+  res.set({
+    'Content-Type': contentType,
+    'Cache-Control': cacheControl,
+    'Accept-Ranges': 'bytes',
+    'Content-Disposition': contentDisposition(filename, { type: 'inline' })
+  });
+  if (etag) {
+    res.set('ETag', etag);
+  }
+  if (lastModified) {
+    res.set('Last-Modified', lastModified);
+  }
+
+  // req.fresh evaluates If-None-Match before If-Modified-Since
+  if (req.fresh) {
+    return res.status(304).end();
+  }
+
+  const range = requestedRange(req, size, { etag, lastModified });
+  if (range === null) {
+    res.set('Content-Range', `bytes */${size}`);
+    return res.status(416).end();
+  }
+
+  if (range) {
+    res.status(206).set('Content-Range', `bytes ${range.start}-${range.end}/${size}`);
+  }
+  res.set('Content-Length', String(range ? range.end - range.start + 1 : size));
+
+  if (req.method === 'HEAD') {
+    return res.end();
+  }
+
+  // Nothing is sent before the bytes are available, so a failed fetch can still become a 500
+  const fail = error => {
+    logger.error('Storage error', { key, error });
+    ['Content-Length', 'Content-Range', 'ETag', 'Last-Modified', 'Cache-Control', 'Content-Disposition']
+      .forEach(header => res.removeHeader(header));
+    res.status(500).json({ error: 'Failed to retrieve image from storage' });
+  };
+
+  // Only whole reads fill the cache, so a Range request never becomes the loader
+  const caching = cache && cache.enabled && size <= cache.maxObjectBytes;
+  let fill = null;
+  if (!body && caching && range) {
+    body = await cache.get(key);
+  } else if (!body && caching) {
+    ({ body, fill = null } = await cache.lookup(key));
+  }
+
+  if (body) {
+    return res.end(range ? body.subarray(range.start, range.end + 1) : body);
+  }
+
+  if (!range && !caching) {
+    return shareRead(storage, key, res, fail);
+  }
+  readFromStorage(storage, key, range, res, fail, fill && (complete => fill(complete && complete.length === size ? complete : null)));
+}
+
+// Streams the object, or the range of it, to res. Headers go out with the first chunk.
+// With fill, the complete body is handed to it on the way, or null when the read fails.
+function readFromStorage(storage, key, range, res, fail, fill) {
+  const failed = error => {
+    if (fill) {
+      fill(null);
+    }
+    fail(error);
+  };
+
+  let stream;
+  try {
+    stream = storage.createReadStream(key, range || {});
+  } catch (error) {
+    return failed(error);
+  }
+  stream.once('error', failed);
+  stream.once('readable', () => {
+    stream.removeListener('error', failed);
+    const steps = fill ? [stream, collectBody(fill), res] : [stream, res];
+    pipeline(...steps, error => {
+      if (error && fill) {
+        fill(null);
+      }
+      if (error && error.code !== 'ERR_STREAM_PREMATURE_CLOSE') {
+        logger.error('Storage stream error', { key, error });
+      }
+    });
+  });
+}
+
+// Whole reads of objects the cache does not keep, by storage key, until their first bytes
+// arrive. Requests for the same object until then are sent that same read.
+const sharedReads = new Map();
+
+function shareRead(storage, key, res, fail) {
+  const waiting = sharedReads.get(key);
+  if (waiting) {
+    waiting.push({ res, fail });
+    return;
+  }
+
+  const readers = [{ res, fail }];
+  sharedReads.set(key, readers);
+  const failAll = error => {
+    sharedReads.delete(key);
+    readers.forEach(reader => reader.fail(error));
+  };
+
+  let stream;
+  try {
+    stream = storage.createReadStream(key, {});
+  } catch (error) {
+    return failAll(error);
+  }
+  stream.once('error', failAll);
+  stream.once('readable', () => {
+    sharedReads.delete(key);
+    stream.removeListener('error', failAll);
+    stream.on('error', error => {
+      logger.error('Storage stream error', { key, error });
+      readers.forEach(reader => reader.res.destroy());
+    });
+
+    // Readers go at the pace of the slowest. One that goes away is unpiped, and the read
+    // stops once none are left.
+    let open = readers.length;
+    readers.forEach(({ res: reader }) => {
+      reader.once('close', () => {
+        stream.unpipe(reader);
+        open--;
+        if (open === 0 && !stream.readableEnded) {
+          stream.destroy();
+        }
+      });
+      stream.pipe(reader);
+    });
+  });
+}
+
+module.exports = { httpDate, sendStoredObject };
@@ -0,0 +1,71 @@
+const { config } = require('../config');
+const { metrics } = require('../metrics');
+
+// Storage drivers expose put/get/createReadStream/head/delete/move/list/getSignedUrl/
+// getUploadTarget and are picked with STORAGE_DRIVER.
+// Drivers are required lazily so the local driver does not load the AWS SDK.
+// Options passed to createStorage override the configuration.
+const drivers = {
+  s3: (options = {}) => require('./s3')({
+    bucket: config.s3Bucket,
+    region: config.awsRegion,
+    ...options
+  }),
+  local: (options = {}) => require('./local')({
+    directory: config.localStorageDir,
+    signingSecret: config.storageSigningSecret,
+    ...options
+  })
+};
+
+const TIMED_OPERATIONS = ['put', 'get', 'head', 'delete', 'move', 'list', 'getSignedUrl', 'getUploadTarget'];
+
+// Wraps the driver's calls to record their latency and count failures
+function instrument(storage) {
+  const instrumented = { ...storage };
+
+  TIMED_OPERATIONS.forEach(operation => {
+    instrumented[operation] = async (...args) => {
+      const done = metrics.storageOperationDuration.startTimer({ operation });
+      try {
+        return await storage[operation](...args);
+      } catch (error) {
+        metrics.storageErrors.inc({ operation });
+        throw error;
+      } finally {
+        done();
+      }
+    };
+  });
+
+  instrumented.createReadStream = (...args) => {
+    const stream = storage.createReadStream(...args);
+    stream.once('error', () => metrics.storageErrors.inc({ operation: 'createReadStream' }));
+    return stream;
+  };
+
+  return instrumented;
+}
+
+function createStorage(driverName = config.storageDriver, options) {
+  const factory = drivers[driverName];
+  if (!factory) {
+    throw new Error(`Unknown storage driver "${driverName}". Use one of: ${Object.keys(drivers).join(', ')}`);
+  }
+  return instrument(factory(options));
+}
+
+// Storage for a location given on the command line: s3://bucket for a bucket (region from
+// AWS_REGION), anything else is a local directory
+function createStorageAt(location) {
+  const bucket = /^s3:\/\/([^/]+)\/?$/.exec(location);
+  if (bucket) {
+    return createStorage('s3', { bucket: bucket[1] });
+  }
+  if (location.startsWith('s3://')) {
+    throw new Error(`Invalid bucket location "${location}", use s3://<bucket>`);
+  }
+  return createStorage('local', { directory: location.replace(/^file:\/\//, '') });
+}
+
+module.exports = { createStorage, createStorageAt };
@@ -0,0 +1,163 @@
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+
+function createLocalStorage(options = {}) {
+  const root = path.resolve(options.directory);
+  // Without a configured secret, signed URLs only stay valid until restart
+  const secret = options.signingSecret || crypto.randomBytes(32).toString('hex');
+
+  function resolveKey(key) {
+    const filePath = path.resolve(root, key);
+    if (!key || filePath === root || !filePath.startsWith(root + path.sep)) {
+      throw new Error(`Invalid storage key: ${key}`);
+    }
+    return filePath;
+  }
+
+  // delete() removes directories it empties, so one can disappear between creating it and
+  // writing into it; that is retried once. Opening the file fails before a stream body is read.
+  async function intoDirectory(filePath, write) {
+    for (let attempt = 1; ; attempt++) {
+      await fs.promises.mkdir(path.dirname(filePath), { recursive: true });
+      try {
+        return await write();
+      } catch (error) {
+        if (error.code !== 'ENOENT' || attempt === 2) {
+          throw error;
+        }
+      }
+    }
+  }
+
+  function sign(key, expires) {
+    return crypto.createHmac('sha256', secret).update(`${key}:${expires}`).digest('hex');
+  }
+
+  return {
+    name: 'local',
+
+    async put(key, body) {
+      const filePath = resolveKey(key);
+      // body can be a Buffer or a readable stream
+      await intoDirectory(filePath, () => fs.promises.writeFile(filePath, body));
+
+      return { key, url: `file://${filePath}` };
+    },
+
+    async get(key) {
+      const body = await fs.promises.readFile(resolveKey(key));
+
+      return {
+        body: body,
+        contentLength: body.length,
+        contentType: undefined
+      };
+    },
+
+    createReadStream(key, { start, end } = {}) {
+      return fs.createReadStream(resolveKey(key), { start, end });
+    },
+
+    async head(key) {
+      try {
+        const stats = await fs.promises.stat(resolveKey(key));
+        return { contentLength: stats.size, contentType: undefined };
+      } catch (error) {
+        if (error.code === 'ENOENT') {
+          return null;
+        }
+        throw error;
+      }
+    },
+
+    // Also removes the directories this leaves empty (such as variants/<uuid>/), up to the root
+    async delete(key) {
+      const filePath = resolveKey(key);
+      await fs.promises.rm(filePath, { force: true });
+
+      for (let directory = path.dirname(filePath); directory !== root; directory = path.dirname(directory)) {
+        try {
+          await fs.promises.rmdir(directory);
+        } catch (error) {
+          if (error.code === 'ENOTEMPTY' || error.code === 'EEXIST' || error.code === 'ENOENT') {
+            break;
+          }
+          throw error;
+        }
+      }
+    },
+
+    async move(fromKey, toKey) {
+      const filePath = resolveKey(toKey);
+      await intoDirectory(filePath, () => fs.promises.rename(resolveKey(fromKey), filePath));
+
+      return { key: toKey, url: `file://${filePath}` };
+    },
+
+    // Every stored object as { key, size, lastModified }, keys use / on every platform
+    async list() {
+      const objects = [];
+      const walk = async directory => {
+        const entries = await fs.promises.readdir(directory, { withFileTypes: true }).catch(error => {
+          if (error.code === 'ENOENT') {
+            return [];
+          }
+          throw error;
+        });
+        for (const entry of entries) {
+          const filePath = path.join(directory, entry.name);
+          if (entry.isDirectory()) {
+            await walk(filePath);
+          } else if (entry.isFile()) {
+            const stats = await fs.promises.stat(filePath);
+            objects.push({
+              key: path.relative(root, filePath).split(path.sep).join('/'),
+              size: stats.size,
+              lastModified: stats.mtime
+            });
+          }
+        }
+      };
+      await walk(root);
+      return objects;
+    },
+
+    async getSignedUrl(key, { expiresIn = 3600, baseUrl = '' } = {}) {
+      const expires = Math.floor(Date.now() / 1000) + expiresIn;
+      const query = new URLSearchParams({ expires: String(expires), signature: sign(key, expires) });
+      return `${baseUrl}/api/storage/${encodeURIComponent(key)}?${query}`;
+    },
+
+    // Stand-in for an S3 presigned PUT, received by PUT /api/storage/:key. Upload signatures
+    // are distinct from read signatures, so a download URL cannot be used to write.
+    async getUploadTarget(key, { contentType, expiresIn = 3600, baseUrl = '' } = {}) {
+      const expires = Math.floor(Date.now() / 1000) + expiresIn;
+      const query = new URLSearchParams({ expires: String(expires), signature: sign(`PUT ${key}`, expires) });
+      return {
+        method: 'PUT',
+        url: `${baseUrl}/api/storage/${encodeURIComponent(key)}?${query}`,
+        headers: { 'Content-Type': contentType }
+      };
+    },
+
+    // Checks a signature produced by getSignedUrl (method GET) or getUploadTarget (method PUT)
+    // for the /api/storage route
+    verifySignature(key, expires, signature, { method = 'GET' } = {}) {
+      const expiresAt = parseInt(expires);
+      if (!expiresAt || expiresAt < Math.floor(Date.now() / 1000) || typeof signature !== 'string') {
+        return false;
+      }
+
+      const expected = Buffer.from(sign(method === 'PUT' ? `PUT ${key}` : key, expiresAt));
+      const actual = Buffer.from(signature);
+      return expected.length === actual.length && crypto.timingSafeEqual(expected, actual);
+    },
+
+    describe() {
+      return `Local filesystem (${root})`;
+    }
+  };
+}
+
+module.exports = createLocalStorage;
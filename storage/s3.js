@@ -0,0 +1,111 @@
+const AWS = require('aws-sdk');
+
+function createS3Storage(options = {}) {
+  const bucket = options.bucket;
+  const s3 = new AWS.S3({
+    region: options.region
+  });
+
+  return {
+    name: 's3',
+
+    async put(key, body, { contentType } = {}) {
+      const result = await s3.upload({
+        Bucket: bucket,
+        Key: key,
+        Body: body,
+        ContentType: contentType
+      }).promise();
+
+      return { key, url: result.Location };
+    },
+
+    async get(key) {
+      const object = await s3.getObject({ Bucket: bucket, Key: key }).promise();
+
+      return {
+        body: object.Body,
+        contentLength: object.ContentLength,
+        contentType: object.ContentType
+      };
+    },
+
+    // Readable stream of the object, or of the inclusive byte range start-end
+    createReadStream(key, { start, end } = {}) {
+      const params = { Bucket: bucket, Key: key };
+      if (start !== undefined) {
+        params.Range = `bytes=${start}-${end === undefined ? '' : end}`;
+      }
+      return s3.getObject(params).createReadStream();
+    },
+
+    // Returns { contentLength, contentType }, or null when the object does not exist
+    async head(key) {
+      try {
+        const object = await s3.headObject({ Bucket: bucket, Key: key }).promise();
+        return { contentLength: object.ContentLength, contentType: object.ContentType };
+      } catch (error) {
+        if (error.code === 'NotFound' || error.code === 'NoSuchKey') {
+          return null;
+        }
+        throw error;
+      }
+    },
+
+    async delete(key) {
+      await s3.deleteObject({ Bucket: bucket, Key: key }).promise();
+    },
+
+    // Server-side copy, then removal of the source. Returns { key, url } like put.
+    async move(fromKey, toKey) {
+      await s3.copyObject({
+        Bucket: bucket,
+        CopySource: `${bucket}/${fromKey.split('/').map(encodeURIComponent).join('/')}`,
+        Key: toKey
+      }).promise();
+      await s3.deleteObject({ Bucket: bucket, Key: fromKey }).promise();
+
+      return { key: toKey, url: `https://${bucket}.s3.${options.region}.amazonaws.com/${toKey}` };
+    },
+
+    // Every object in the bucket as { key, size, lastModified }
+    async list() {
+      const objects = [];
+      let continuationToken;
+      do {
+        const page = await s3.listObjectsV2({ Bucket: bucket, ContinuationToken: continuationToken }).promise();
+        page.Contents.forEach(object => {
+          objects.push({ key: object.Key, size: object.Size, lastModified: object.LastModified });
+        });
+        continuationToken = page.IsTruncated ? page.NextContinuationToken : undefined;
+      } while (continuationToken);
+      return objects;
+    },
+
+    async getSignedUrl(key, { expiresIn = 3600 } = {}) {
+      return s3.getSignedUrlPromise('getObject', {
+        Bucket: bucket,
+        Key: key,
+        Expires: expiresIn
+      });
+    },
+
+    // Presigned PUT the client sends the file to; the Content-Type header is part of the signature
+    async getUploadTarget(key, { contentType, expiresIn = 3600 } = {}) {
+      const url = await s3.getSignedUrlPromise('putObject', {
+        Bucket: bucket,
+        Key: key,
+        ContentType: contentType,
+        Expires: expiresIn
+      });
+
+      return { method: 'PUT', url, headers: { 'Content-Type': contentType } };
+    },
+
+    describe() {
+      return `AWS S3 (${bucket} bucket)`;
+    }
+  };
+}
+
+module.exports = createS3Storage;
@@ -0,0 +1,84 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { loadConfig, ConfigError } = require('../config');
+
+const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'config-test-'));
+test.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+
+function configFile(values) {
+  const file = path.join(dir, `${Math.random().toString(36).slice(2)}.json`);
+  fs.writeFileSync(file, typeof values === 'string' ? values : JSON.stringify(values));
+  return file;
+}
+
+function problemsOf(env) {
+  try {
+    loadConfig(env);
+  } catch (error) {
+    assert.ok(error instanceof ConfigError);
+    return error.problems;
+  }
+  assert.fail('expected a ConfigError');
+}
+
+test('uses the defaults without environment or config file', () => {
+  const config = loadConfig({ CONFIG_FILE: configFile({}) });
+  assert.strictEqual(config.port, 5000);
+  assert.strictEqual(config.storageDriver, 's3');
+  assert.strictEqual(config.requireApiKey, true);
+  assert.deepStrictEqual(config.allowedContentTypes, ['image/jpeg', 'image/png', 'image/gif']);
+  assert.ok(Object.isFrozen(config));
+});
+
+test('parses environment values', () => {
+  const config = loadConfig({
+    CONFIG_FILE: configFile({}),
+    PORT: ' 8080 ',
+    REQUIRE_API_KEY: 'false',
+    MAX_UPLOAD_MB: '2.5',
+    ALLOWED_CONTENT_TYPES: 'image/png, image/gif,image/png',
+    STORAGE_DRIVER: 'local'
+  });
+  assert.strictEqual(config.port, 8080);
+  assert.strictEqual(config.requireApiKey, false);
+  assert.strictEqual(config.maxUploadMb, 2.5);
+  assert.deepStrictEqual(config.allowedContentTypes, ['image/png', 'image/gif']);
+  assert.strictEqual(config.storageDriver, 'local');
+});
+
+test('takes the environment over the file and the file over the default', () => {
+  const file = configFile({ PORT: 6000, LOG_LEVEL: 'warn', IMAGE_CACHE_MEMORY_MB: 0 });
+  const config = loadConfig({ CONFIG_FILE: file, PORT: '7000', LOG_LEVEL: '' });
+  assert.strictEqual(config.port, 7000);
+  assert.strictEqual(config.logLevel, 'warn');
+  assert.strictEqual(config.imageCacheMemoryMb, 0);
+});
+
+test('reports every invalid value at once', () => {
+  const problems = problemsOf({
+    CONFIG_FILE: configFile({ MAX_ARCHIVE_MB: 0 }),
+    PORT: '70000',
+    REQUIRE_API_KEY: 'yes',
+    STORAGE_DRIVER: 'ftp',
+    ALLOWED_CONTENT_TYPES: 'image/webp'
+  });
+  assert.strictEqual(problems.length, 5);
+  assert.match(problems.find(problem => problem.startsWith('PORT')), /whole number from 1 to 65535 \(got "70000"\)/);
+  assert.match(problems.find(problem => problem.startsWith('MAX_ARCHIVE_MB')), /above 0.*in the config file/);
+});
+
+test('does not echo secret values', () => {
+  const [problem] = problemsOf({ CONFIG_FILE: configFile({ STORAGE_SIGNING_SECRET: 12345 }) });
+  assert.match(problem, /^STORAGE_SIGNING_SECRET must be a string/);
+  assert.doesNotMatch(problem, /12345/);
+});
+
+test('rejects unknown settings and unreadable config files', () => {
+  assert.match(problemsOf({ CONFIG_FILE: configFile({ PROT: 5000 }) })[0], /unknown setting PROT/);
+  assert.match(problemsOf({ CONFIG_FILE: configFile('{ "PORT": ') })[0], /could not be read/);
+  assert.match(problemsOf({ CONFIG_FILE: configFile([]) })[0], /must contain a JSON object/);
+  assert.match(problemsOf({ CONFIG_FILE: path.join(dir, 'missing.json') })[0], /could not be read/);
+});
@@ -0,0 +1,63 @@
+process.env.DB_PATH = ':memory:';
+
+const test = require('node:test');
+const assert = require('node:assert');
+const { run, all, exec, transaction, close } = require('../db');
+
+test.before(() => exec(`CREATE TABLE entries (name TEXT)`));
+test.beforeEach(() => run(`DELETE FROM entries`));
+test.after(() => close());
+
+// Starts a transaction that inserts `inside` and stays open until release() is called
+async function openTransaction({ fail = false } = {}) {
+  let opened;
+  let release;
+  const isOpen = new Promise(resolve => {
+    opened = resolve;
+  });
+  const held = new Promise(resolve => {
+    release = resolve;
+  });
+
+  const done = transaction(async () => {
+    await run(`INSERT INTO entries (name) VALUES ('inside')`);
+    opened();
+    await held;
+    if (fail) {
+      throw new Error('rolled back');
+    }
+  });
+  await isOpen;
+  return { done, release };
+}
+
+test('runs a statement issued while a transaction is open after it commits', async () => {
+  const order = [];
+  const { done, release } = await openTransaction();
+
+  const statement = run(`INSERT INTO entries (name) VALUES ('outside')`).then(() => order.push('statement'));
+  await new Promise(resolve => setTimeout(resolve, 20));
+  assert.deepStrictEqual(order, []);
+
+  release();
+  await Promise.all([done.then(() => order.push('commit')), statement]);
+  assert.deepStrictEqual(order, ['commit', 'statement']);
+  assert.deepStrictEqual((await all(`SELECT name FROM entries ORDER BY rowid`)).map(row => row.name), ['inside', 'outside']);
+});
+
+test('keeps a statement issued while a transaction is open out of its rollback', async () => {
+  const { done, release } = await openTransaction({ fail: true });
+
+  const statement = run(`INSERT INTO entries (name) VALUES ('outside')`);
+  release();
+  await assert.rejects(done, /rolled back/);
+  await statement;
+
+  assert.deepStrictEqual((await all(`SELECT name FROM entries`)).map(row => row.name), ['outside']);
+});
+
+test('rejects nested transactions', async () => {
+  await transaction(async () => {
+    await assert.rejects(transaction(async () => {}), /cannot be nested/);
+  });
+});
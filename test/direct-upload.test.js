@@ -0,0 +1,79 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'direct-upload-test-'));
+process.env.DB_PATH = path.join(dir, 'test.db');
+process.env.LOG_LEVEL = 'error';
+
+const test = require('node:test');
+const assert = require('node:assert');
+const { get, run, close } = require('../db');
+const { migrate } = require('../migrator');
+const createLocalStorage = require('../storage/local');
+const { initiateUpload, completeUpload, expireDirectUploads } = require('../direct-upload');
+
+const storage = createLocalStorage({ directory: path.join(dir, 'storage') });
+const hinge = name => fs.readFileSync(path.join(__dirname, '..', 'hinges', name));
+
+test.before(() => migrate());
+test.after(async () => {
+  await close();
+  fs.rmSync(dir, { recursive: true, force: true });
+});
+
+// Initiates an upload of the file and sends it to the staged key, as a client would
+async function uploadDirectly(name, articleId) {
+  const buffer = hinge(name);
+  const { upload, target } = await initiateUpload(storage, {
+    filename: name, contentType: 'image/png', size: buffer.length, articleIds: [articleId]
+  });
+  await storage.put(upload.s3_key, buffer);
+  return { upload, target, buffer };
+}
+
+test('hands out upload URLs that expire before the upload does', async () => {
+  const { upload, target } = await uploadDirectly('9091744.png', 'D1');
+  const urlExpires = Number(new URL(target.url, 'http://localhost').searchParams.get('expires'));
+
+  assert.ok(Math.abs(urlExpires - (Date.now() / 1000 + 15 * 60)) < 5);
+  const lifetimes = await get(
+    `SELECT (julianday(url_expires_at) - julianday(created_at)) * 86400 AS url,
+            (julianday(expires_at) - julianday(created_at)) * 86400 AS upload
+     FROM direct_uploads WHERE id = ?`,
+    [upload.id]
+  );
+  assert.ok(Math.abs(lifetimes.url - 15 * 60) < 1);
+  assert.ok(Math.abs(lifetimes.upload - 3600) < 1);
+});
+
+test('completing again removes a file sent to the URL after completion', async () => {
+  const { upload, buffer } = await uploadDirectly('9091748.png', 'D2');
+  const first = await completeUpload(storage, upload.upload_id);
+  assert.strictEqual(first.error, undefined);
+  assert.strictEqual(await storage.head(upload.s3_key), null);
+
+  await storage.put(upload.s3_key, buffer);
+  const again = await completeUpload(storage, upload.upload_id);
+
+  assert.strictEqual(again.image.uuid, first.image.uuid);
+  assert.strictEqual(await storage.head(upload.s3_key), null);
+});
+
+test('purge removes a file sent to the URL of a closed upload once the URL has expired', async () => {
+  const { upload, buffer } = await uploadDirectly('1058613.png', 'D3');
+  await completeUpload(storage, upload.upload_id);
+  await storage.put(upload.s3_key, buffer);
+
+  // The URL is still valid: the file may still be replaced, so nothing is removed yet
+  const closed = await get(`SELECT staged_cleanup_at, url_expires_at FROM direct_uploads WHERE id = ?`, [upload.id]);
+  assert.strictEqual(closed.staged_cleanup_at, closed.url_expires_at);
+  await expireDirectUploads(storage);
+  assert.notStrictEqual(await storage.head(upload.s3_key), null);
+
+  await run(`UPDATE direct_uploads SET staged_cleanup_at = datetime('now', '-1 second') WHERE id = ?`, [upload.id]);
+  await expireDirectUploads(storage);
+
+  assert.strictEqual(await storage.head(upload.s3_key), null);
+  assert.strictEqual((await get(`SELECT staged_cleanup_at FROM direct_uploads WHERE id = ?`, [upload.id])).staged_cleanup_at, null);
+});
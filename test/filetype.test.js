@@ -0,0 +1,49 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const path = require('path');
+const { validateImage } = require('../filetype');
+
+const png = fs.readFileSync(path.join(__dirname, '..', 'hinges', '1001097.png'));
+// A JPEG despite its name
+const jpeg = fs.readFileSync(path.join(__dirname, '..', 'hinges', '9042758.png'));
+
+test('accepts a well-formed image as the format its content has', () => {
+  assert.deepStrictEqual(validateImage(png, 'image/png'), { format: 'png', contentType: 'image/png', extension: '.png' });
+  assert.strictEqual(validateImage(jpeg).contentType, 'image/jpeg');
+});
+
+test('treats a missing or generic declared type as no declaration', () => {
+  assert.strictEqual(validateImage(png, undefined).format, 'png');
+  assert.strictEqual(validateImage(png, 'application/octet-stream').format, 'png');
+  assert.strictEqual(validateImage(jpeg, 'image/jpg').format, 'jpeg');
+});
+
+test('rejects content that does not match the declared type', () => {
+  const mismatch = validateImage(jpeg, 'image/png');
+  assert.strictEqual(mismatch.code, 'CONTENT_TYPE_MISMATCH');
+  assert.match(mismatch.error, /declared as image\/png but its content is image\/jpeg; the declared type must match/);
+  assert.strictEqual(validateImage(png, 'text/plain').code, 'CONTENT_TYPE_MISMATCH');
+});
+
+test('rejects content that is no supported image', () => {
+  assert.strictEqual(validateImage(Buffer.from('%PDF-1.7 not an image')).code, 'UNSUPPORTED_FILE_TYPE');
+  assert.strictEqual(validateImage(Buffer.alloc(0)).code, 'UNSUPPORTED_FILE_TYPE');
+});
+
+test('rejects truncated images', () => {
+  assert.strictEqual(validateImage(png.subarray(0, png.length - 12)).code, 'TRUNCATED_IMAGE');
+  assert.strictEqual(validateImage(jpeg.subarray(0, jpeg.length - 2)).code, 'TRUNCATED_IMAGE');
+  assert.strictEqual(validateImage(png.subarray(0, 20)).code, 'TRUNCATED_IMAGE');
+});
+
+test('rejects polyglots with data after the end of the image', () => {
+  const archive = Buffer.from('PK\u0003\u0004 appended archive');
+  const result = validateImage(Buffer.concat([png, archive]));
+  assert.strictEqual(result.code, 'TRAILING_DATA');
+  assert.match(result.error, new RegExp(`${archive.length} bytes`));
+});
+
+test('allows zero padding after the end of the image', () => {
+  assert.strictEqual(validateImage(Buffer.concat([jpeg, Buffer.alloc(16)])).format, 'jpeg');
+});
@@ -0,0 +1,133 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'ingest-test-'));
+process.env.DB_PATH = path.join(dir, 'test.db');
+process.env.LOG_LEVEL = 'error';
+
+const test = require('node:test');
+const assert = require('node:assert');
+const crypto = require('crypto');
+const db = require('../db');
+
+// Makes the next pre-checks of an upload find a byte-identical image that is gone by the
+// time the upload transaction runs, as when it is purged in between
+let phantomImages = 0;
+const realGet = db.get;
+db.get = (sql, params) => {
+  if (phantomImages > 0 && sql.startsWith('SELECT id FROM images WHERE content_hash')) {
+    phantomImages--;
+    return Promise.resolve({ id: 0 });
+  }
+  return realGet(sql, params);
+};
+
+const { all, exec, close } = db;
+const { migrate } = require('../migrator');
+const createLocalStorage = require('../storage/local');
+const { ingestImage } = require('../ingest');
+
+const hinge = name => fs.readFileSync(path.join(__dirname, '..', 'hinges', name));
+const hashOf = buffer => crypto.createHash('sha256').update(buffer).digest('hex');
+let storages = 0;
+const newStorage = () => createLocalStorage({ directory: path.join(dir, `storage-${++storages}`) });
+
+test.before(() => migrate());
+test.after(async () => {
+  await close();
+  fs.rmSync(dir, { recursive: true, force: true });
+});
+
+// Runs fn while every image insert fails
+async function withFailingInsert(fn) {
+  await exec(`
+    CREATE TRIGGER fail_image_insert BEFORE INSERT ON images
+    BEGIN SELECT RAISE(ABORT, 'insert failed'); END;
+  `);
+  try {
+    await fn();
+  } finally {
+    await exec(`DROP TRIGGER fail_image_insert`);
+  }
+}
+
+async function assertNothingCommitted(buffer, articleId) {
+  assert.deepStrictEqual(await all(`SELECT id FROM images WHERE content_hash = ?`, [hashOf(buffer)]), []);
+  assert.deepStrictEqual(await all(`SELECT article_id FROM articles WHERE article_id = ?`, [articleId]), []);
+  assert.deepStrictEqual(await all(`SELECT id FROM article_images WHERE article_id = ?`, [articleId]), []);
+}
+
+test('removes the stored object when the upload transaction fails', async () => {
+  const storage = newStorage();
+  const buffer = hinge('9051925.png');
+
+  await withFailingInsert(() => assert.rejects(ingestImage(storage, {
+    buffer, originalName: '9051925.png', declaredContentType: 'image/png', articleIds: ['F1']
+  }), /insert failed/));
+
+  await assertNothingCommitted(buffer, 'F1');
+  assert.deepStrictEqual(await storage.list(), []);
+});
+
+test('records the object in storage_cleanup when storage refuses to delete it', async () => {
+  const storage = newStorage();
+  const refusing = { ...storage, delete: async () => { throw new Error('delete refused'); } };
+  const buffer = hinge('9082614.png');
+
+  await withFailingInsert(() => assert.rejects(ingestImage(refusing, {
+    buffer, originalName: '9082614.png', declaredContentType: 'image/png', articleIds: ['F2']
+  }), /insert failed/));
+
+  await assertNothingCommitted(buffer, 'F2');
+  const [object] = await storage.list();
+  assert.deepStrictEqual(
+    await all(`SELECT s3_key, reason FROM storage_cleanup WHERE s3_key = ?`, [object.key]),
+    [{ s3_key: object.key, reason: 'upload transaction failed' }]
+  );
+});
+
+test('moves a staged object back to its staged key when the upload transaction fails', async () => {
+  const storage = newStorage();
+  const buffer = hinge('9088242.png');
+  const staged = { uuid: crypto.randomUUID(), key: 'incoming/upload-1.png' };
+  await storage.put(staged.key, buffer);
+
+  await withFailingInsert(() => assert.rejects(ingestImage(storage, {
+    buffer, originalName: '9088242.png', declaredContentType: 'image/png', articleIds: ['F3'], staged
+  }), /insert failed/));
+
+  await assertNothingCommitted(buffer, 'F3');
+  assert.deepStrictEqual((await storage.list()).map(object => object.key), [staged.key]);
+});
+
+test('starts over when the image it meant to reuse is purged before the transaction', async () => {
+  const storage = newStorage();
+  const buffer = hinge('9089611.png');
+  phantomImages = 1;
+
+  const result = await ingestImage(storage, {
+    buffer, originalName: '9089611.png', declaredContentType: 'image/png', articleIds: ['F4']
+  });
+
+  assert.strictEqual(phantomImages, 0);
+  assert.strictEqual(result.deduplicated, false);
+  assert.deepStrictEqual(result.newArticleIds, ['F4']);
+  assert.strictEqual(result.image.content_hash, hashOf(buffer));
+  assert.ok((await storage.list()).some(object => object.key === result.image.s3_key));
+});
+
+test('fails when the image it meant to reuse is purged again after starting over', async () => {
+  const storage = newStorage();
+  const buffer = hinge('9090098.png');
+  phantomImages = 3;
+
+  await assert.rejects(ingestImage(storage, {
+    buffer, originalName: '9090098.png', declaredContentType: 'image/png', articleIds: ['F5']
+  }), /was purged while it was being stored/);
+
+  assert.strictEqual(phantomImages, 1);
+  await assertNothingCommitted(buffer, 'F5');
+  assert.deepStrictEqual(await storage.list(), []);
+  phantomImages = 0;
+});
@@ -0,0 +1,87 @@
+process.env.DB_PATH = ':memory:';
+
+const test = require('node:test');
+const assert = require('node:assert');
+const { all, exec, close } = require('../db');
+const { parsePageQuery, pageQuery, buildPage } = require('../listing');
+
+// Ties on the sort value are broken by id
+const sort = { field: 'position', order: 'asc', column: 'position', idColumn: 'id' };
+const ROWS = [[1, 3], [2, 1], [3, 2], [4, 2], [5, 1], [6, 3], [7, 2]];
+const ORDERED = [2, 5, 3, 4, 7, 1, 6];
+
+test.before(() => exec(`
+  CREATE TABLE items (id INTEGER PRIMARY KEY, position INTEGER);
+  INSERT INTO items (id, position) VALUES ${ROWS.map(([id, position]) => `(${id}, ${position})`).join(', ')};
+`));
+test.after(() => close());
+
+async function readPage(query) {
+  const page = parsePageQuery(query, sort);
+  assert.strictEqual(page.error, undefined);
+  const { sql, params } = pageQuery(
+    `SELECT id, position AS sort_value, id AS sort_id FROM items`, [], sort, page
+  );
+  return buildPage(await all(sql, params), sort, page);
+}
+
+test('follows nextCursor through every row once, in order', async () => {
+  const seen = [];
+  let page = await readPage({ limit: '3' });
+  assert.strictEqual(page.pagination.hasPrevPage, false);
+  seen.push(...page.rows.map(row => row.id));
+
+  while (page.pagination.nextCursor) {
+    page = await readPage({ limit: '3', cursor: page.pagination.nextCursor });
+    assert.strictEqual(page.pagination.hasPrevPage, true);
+    seen.push(...page.rows.map(row => row.id));
+  }
+
+  assert.deepStrictEqual(seen, ORDERED);
+  assert.strictEqual(page.pagination.hasNextPage, false);
+});
+
+test('prevCursor returns to the page before', async () => {
+  const first = await readPage({ limit: '3' });
+  const second = await readPage({ limit: '3', cursor: first.pagination.nextCursor });
+  const back = await readPage({ limit: '3', cursor: second.pagination.prevCursor });
+
+  assert.deepStrictEqual(back.rows, first.rows);
+  assert.strictEqual(back.pagination.hasPrevPage, false);
+  assert.strictEqual(back.pagination.hasNextPage, true);
+
+  const forward = await readPage({ limit: '3', cursor: back.pagination.nextCursor });
+  assert.deepStrictEqual(forward.rows, second.rows);
+});
+
+test('rejects cursors of another sort', async () => {
+  const { pagination } = await readPage({ limit: '3' });
+  const result = parsePageQuery({ cursor: pagination.nextCursor }, { ...sort, order: 'desc' });
+  assert.match(result.error, /different sort/);
+});
+
+test('rejects cursors that are not ones it issued', () => {
+  const encode = cursor => Buffer.from(JSON.stringify(cursor)).toString('base64url');
+  const invalid = [
+    'not-a-cursor',
+    encode(null),
+    encode({ s: 'position', o: 'asc', v: 1, id: 2, d: 'sideways' }),
+    encode({ s: 'position', o: 'asc', v: { $gt: 1 }, id: 2, d: 'next' }),
+    encode({ s: 'position', o: 'asc', v: [1], id: 2, d: 'next' }),
+    encode({ s: 'position', o: 'asc', v: null, id: 2, d: 'next' }),
+    encode({ s: 'position', o: 'asc', v: 1, id: 2.5, d: 'next' }),
+    encode({ s: 'position', o: 'asc', v: 1, d: 'next' })
+  ];
+
+  for (const cursor of invalid) {
+    assert.deepStrictEqual(parsePageQuery({ cursor }, sort), { error: 'cursor is invalid' }, cursor);
+  }
+  assert.deepStrictEqual(parsePageQuery({ cursor: ['a', 'b'] }, sort), { error: 'cursor is invalid' });
+});
+
+test('validates limit and rejects page', () => {
+  assert.deepStrictEqual(parsePageQuery({}, sort), { limit: 50, cursor: null });
+  assert.match(parsePageQuery({ limit: '0' }, sort).error, /limit/);
+  assert.match(parsePageQuery({ limit: '201' }, sort).error, /limit/);
+  assert.match(parsePageQuery({ page: '2' }, sort).error, /cursor/);
+});
@@ -0,0 +1,61 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { Readable } = require('stream');
+const createLocalStorage = require('../storage/local');
+
+const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'local-storage-test-'));
+test.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+
+let storages = 0;
+function newStorage() {
+  const directory = path.join(dir, `root-${++storages}`);
+  return { storage: createLocalStorage({ directory }), directory };
+}
+
+test('stores, reads and lists objects under nested keys', async () => {
+  const { storage } = newStorage();
+  await storage.put('a.png', Buffer.from('a'));
+  await storage.put('variants/u1/thumb.webp', Readable.from([Buffer.from('thumb')]));
+
+  assert.strictEqual((await storage.get('variants/u1/thumb.webp')).body.toString(), 'thumb');
+  assert.deepStrictEqual((await storage.list()).map(object => object.key).sort(), ['a.png', 'variants/u1/thumb.webp']);
+  assert.strictEqual(await storage.head('missing.png'), null);
+});
+
+test('removes the directories a delete leaves empty', async () => {
+  const { storage, directory } = newStorage();
+  await storage.put('variants/u1/thumb.webp', Buffer.from('1'));
+  await storage.put('variants/u1/medium.webp', Buffer.from('2'));
+  await storage.put('variants/u2/thumb.webp', Buffer.from('3'));
+
+  await storage.delete('variants/u1/thumb.webp');
+  assert.ok(fs.existsSync(path.join(directory, 'variants', 'u1')));
+
+  await storage.delete('variants/u1/medium.webp');
+  assert.ok(!fs.existsSync(path.join(directory, 'variants', 'u1')));
+  assert.ok(fs.existsSync(path.join(directory, 'variants', 'u2')));
+
+  await storage.delete('variants/u2/thumb.webp');
+  assert.ok(!fs.existsSync(path.join(directory, 'variants')));
+  assert.ok(fs.existsSync(directory));
+
+  // Deleting what is already gone is not an error
+  await storage.delete('variants/u2/thumb.webp');
+});
+
+test('moves objects into directories that do not exist yet', async () => {
+  const { storage } = newStorage();
+  await storage.put('incoming/upload.png', Buffer.from('png'));
+  await storage.move('incoming/upload.png', 'images/u1.png');
+
+  assert.deepStrictEqual((await storage.list()).map(object => object.key), ['images/u1.png']);
+});
+
+test('rejects keys outside the storage directory', async () => {
+  const { storage } = newStorage();
+  await assert.rejects(storage.put('../escape.png', Buffer.from('x')), /Invalid storage key/);
+  await assert.rejects(storage.delete(''), /Invalid storage key/);
+});
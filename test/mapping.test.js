@@ -0,0 +1,36 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { parseMapping } = require('../batch/mapping');
+
+test('reads CSV rows with quoted fields and article ID lists', () => {
+  const { rows, errors } = parseMapping('file,articleIds,sortOrder,alt\n"a, b.png","A1;A2",2,"A ""hinge"""\n', 'csv');
+  assert.deepStrictEqual(errors, []);
+  assert.deepStrictEqual(rows, [{ line: 2, file: 'a, b.png', articleIds: ['A1', 'A2'], sortOrder: 2, altText: 'A "hinge"' }]);
+});
+
+test('reports JSON rows that are not objects instead of failing the mapping', () => {
+  const { rows, errors } = parseMapping(JSON.stringify([
+    null,
+    { file: 'a.png', articleIds: ['A1'] },
+    'b.png',
+    ['c.png', 'A3']
+  ]), 'json');
+
+  assert.deepStrictEqual(rows, [{ line: 2, file: 'a.png', articleIds: ['A1'], sortOrder: undefined, altText: undefined }]);
+  assert.deepStrictEqual(errors, [
+    { line: 1, file: '', error: 'row must be an object with "file" and "articleIds", not null' },
+    { line: 3, file: '', error: 'row must be an object with "file" and "articleIds", not a string' },
+    { line: 4, file: '', error: 'row must be an object with "file" and "articleIds", not an array' }
+  ]);
+});
+
+test('reports rows without a file, article IDs or a valid sort order', () => {
+  const { rows, errors } = parseMapping(JSON.stringify([
+    { articleIds: 'A1' },
+    { file: 'a.png', articleIds: ' ; ' },
+    { file: 'b.png', articleIds: 'A1', sortOrder: -1 }
+  ]), 'json');
+
+  assert.deepStrictEqual(rows, []);
+  assert.deepStrictEqual(errors.map(error => error.error), ['missing file path', 'no article IDs', 'invalid sort order "-1"']);
+});
@@ -0,0 +1,112 @@
+process.env.LOG_LEVEL = 'error';
+
+const test = require('node:test');
+const assert = require('node:assert');
+const crypto = require('crypto');
+const { Readable } = require('stream');
+const express = require('express');
+const { createImageCache } = require('../cache');
+const { sendStoredObject } = require('../serve');
+
+const OBJECT = crypto.randomBytes(64 * 1024);
+
+// Answers every read after a delay, so concurrent requests overlap with it
+function slowStorage({ fail = false } = {}) {
+  const reads = [];
+  const read = (key, { start = 0, end = OBJECT.length - 1 } = {}) => {
+    reads.push(key);
+    const stream = new Readable({ read() {} });
+    setTimeout(() => {
+      if (fail) {
+        stream.destroy(new Error('storage unavailable'));
+        return;
+      }
+      stream.push(OBJECT.subarray(start, end + 1));
+      stream.push(null);
+    }, 50);
+    return stream;
+  };
+  return {
+    reads,
+    createReadStream: read,
+    async get(key) {
+      reads.push(key);
+      return { body: OBJECT, contentLength: OBJECT.length };
+    }
+  };
+}
+
+async function serve(storage, cache, t) {
+  const app = express();
+  app.get('/objects/:key', (req, res) => sendStoredObject(req, res, storage, {
+    key: req.params.key,
+    size: OBJECT.length,
+    contentType: 'application/octet-stream',
+    etag: '"object"',
+    filename: 'object.bin',
+    cacheControl: 'public',
+    cache
+  }));
+  const server = await new Promise(resolve => {
+    const listening = app.listen(0, '127.0.0.1', () => resolve(listening));
+  });
+  t.after(() => new Promise(resolve => server.close(resolve)));
+
+  return async (key, headers = {}) => {
+    const response = await fetch(`http://127.0.0.1:${server.address().port}/objects/${key}`, { headers });
+    return { status: response.status, body: Buffer.from(await response.arrayBuffer()) };
+  };
+}
+
+test('concurrent misses for a cached size share one storage read', async t => {
+  const storage = slowStorage();
+  const cache = createImageCache({ memoryBytes: 1024 * 1024, diskDirectory: null, maxObjectBytes: 1024 * 1024 });
+  const request = await serve(storage, cache, t);
+
+  const responses = await Promise.all([
+    ...Array.from({ length: 5 }, () => request('a')),
+    request('a', { Range: 'bytes=10-19' })
+  ]);
+
+  assert.strictEqual(storage.reads.length, 1);
+  responses.slice(0, 5).forEach(response => {
+    assert.strictEqual(response.status, 200);
+    assert.ok(response.body.equals(OBJECT));
+  });
+  assert.strictEqual(responses[5].status, 206);
+  assert.ok(responses[5].body.equals(OBJECT.subarray(10, 20)));
+  assert.strictEqual(cache.stats().misses, 1);
+  assert.strictEqual(cache.stats().coalesced, 5);
+  assert.strictEqual(cache.stats().inflight, 0);
+
+  assert.ok((await request('a')).body.equals(OBJECT));
+  assert.strictEqual(storage.reads.length, 1);
+  assert.strictEqual(cache.stats().memoryHits, 1);
+});
+
+test('concurrent misses for an object too large to cache share one storage read', async t => {
+  const storage = slowStorage();
+  const cache = createImageCache({ memoryBytes: 1024 * 1024, diskDirectory: null, maxObjectBytes: 1024 });
+  const request = await serve(storage, cache, t);
+
+  const responses = await Promise.all(Array.from({ length: 5 }, () => request('large')));
+
+  assert.strictEqual(storage.reads.length, 1);
+  responses.forEach(response => {
+    assert.strictEqual(response.status, 200);
+    assert.ok(response.body.equals(OBJECT));
+  });
+  assert.strictEqual(cache.stats().memory.entries, 0);
+});
+
+test('requests waiting for a failed read are answered', async t => {
+  const storage = slowStorage({ fail: true });
+  const cache = createImageCache({ memoryBytes: 1024 * 1024, diskDirectory: null, maxObjectBytes: 1024 * 1024 });
+  const request = await serve(storage, cache, t);
+
+  const responses = await Promise.all(Array.from({ length: 3 }, () => request('broken')));
+
+  responses.forEach(response => assert.strictEqual(response.status, 500));
+  assert.strictEqual(cache.stats().inflight, 0);
+  assert.strictEqual(cache.stats().memory.entries, 0);
+});
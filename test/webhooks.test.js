@@ -0,0 +1,188 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'webhooks-test-'));
+process.env.DB_PATH = path.join(dir, 'test.db');
+process.env.LOG_LEVEL = 'error';
+
+const test = require('node:test');
+const assert = require('node:assert');
+const crypto = require('crypto');
+const http = require('http');
+const { get, all, exec, transaction, close } = require('../db');
+const { migrate } = require('../migrator');
+const createLocalStorage = require('../storage/local');
+const { ingestImage } = require('../ingest');
+const {
+  parseWebhookInput, createWebhook, deleteWebhook, signPayload, recordEvent, startWebhookDispatcher
+} = require('../webhooks');
+
+const storage = createLocalStorage({ directory: path.join(dir, 'storage') });
+const hinge = name => fs.readFileSync(path.join(__dirname, '..', 'hinges', name));
+
+// Receives deliveries and answers each with the next queued status code (204 once they run out)
+let receiver;
+const received = [];
+const statusCodes = [];
+let onRequest = () => {};
+
+test.before(async () => {
+  await migrate();
+  receiver = http.createServer((req, res) => {
+    let body = '';
+    req.setEncoding('utf8');
+    req.on('data', chunk => { body += chunk; });
+    req.on('end', () => {
+      received.push({ headers: req.headers, body });
+      res.statusCode = statusCodes.shift() || 204;
+      res.end();
+      onRequest();
+    });
+  });
+  await new Promise(resolve => receiver.listen(0, '127.0.0.1', resolve));
+  startWebhookDispatcher();
+});
+
+test.after(async () => {
+  await new Promise(resolve => receiver.close(resolve));
+  await close();
+  fs.rmSync(dir, { recursive: true, force: true });
+});
+
+// Creates a webhook the way POST /api/webhooks does
+async function subscribe(input) {
+  const parsed = parseWebhookInput({ url: `http://127.0.0.1:${receiver.address().port}/hooks`, ...input });
+  assert.strictEqual(parsed.error, undefined);
+  const { webhook, secret } = await createWebhook(parsed.values);
+  return { webhookId: webhook.webhook_id, secret };
+}
+
+function deliveriesOf(webhookId) {
+  return all(`SELECT * FROM webhook_deliveries WHERE webhook_id = ? ORDER BY id`, [webhookId]);
+}
+
+// Resolves once the delivery has been attempted
+async function attempted(webhookId, event) {
+  for (let i = 0; i < 200; i++) {
+    const delivery = await get(
+      `SELECT * FROM webhook_deliveries WHERE webhook_id = ? AND event = ? ORDER BY id DESC LIMIT 1`,
+      [webhookId, event]
+    );
+    if (delivery && delivery.attempts > 0) {
+      return delivery;
+    }
+    await new Promise(resolve => setTimeout(resolve, 25));
+  }
+  assert.fail(`no delivery attempt for ${event}`);
+}
+
+test('signs the timestamp and body with the webhook secret', () => {
+  const expected = crypto.createHmac('sha256', 'secret').update('1700000000.{"a":1}').digest('hex');
+  assert.strictEqual(signPayload('secret', '1700000000', '{"a":1}'), `sha256=${expected}`);
+  assert.notStrictEqual(signPayload('secret', '1700000001', '{"a":1}'), `sha256=${expected}`);
+});
+
+test('accepts only known events', () => {
+  const url = 'http://127.0.0.1/hooks';
+  assert.match(parseWebhookInput({ url, events: ['image.uploaded'] }).error, /^events must be a list of/);
+  assert.match(parseWebhookInput({ url, events: [] }).error, /^events must be a list of/);
+  assert.deepStrictEqual(parseWebhookInput({ url }).values.events, ['*']);
+  assert.deepStrictEqual(
+    parseWebhookInput({ url, events: ['image.created', 'image.created'] }).values.events, ['image.created']
+  );
+});
+
+test('delivers image.created for an upload, signed', async () => {
+  const { webhookId, secret } = await subscribe({ events: ['image.created'], secret: 'supersecretvalue123' });
+
+  const result = await ingestImage(storage, {
+    buffer: hinge('1001097.png'), originalName: '1001097.png', declaredContentType: 'image/png', articleIds: ['A1']
+  });
+  const delivery = await attempted(webhookId, 'image.created');
+
+  assert.strictEqual(delivery.status, 'delivered');
+  assert.strictEqual(delivery.last_status_code, 204);
+  // Subscribed to image.created only: the image.linked and article.created events of the upload are not sent
+  assert.deepStrictEqual((await deliveriesOf(webhookId)).map(row => row.event), ['image.created']);
+
+  const { headers, body } = received.find(request => request.headers['x-webhook-delivery'] === delivery.delivery_id);
+  assert.strictEqual(headers['content-type'], 'application/json');
+  assert.strictEqual(headers['x-webhook-event'], 'image.created');
+  assert.strictEqual(headers['x-webhook-signature'], signPayload(secret, headers['x-webhook-timestamp'], body));
+
+  const payload = JSON.parse(body);
+  assert.strictEqual(payload.event, 'image.created');
+  assert.strictEqual(payload.data.image.uuid, result.image.uuid);
+  assert.strictEqual(payload.data.image.contentType, 'image/png');
+  assert.deepStrictEqual(payload.data.articleIds, ['A1']);
+  await deleteWebhook(webhookId);
+});
+
+test('records no events for an upload whose transaction rolls back', async () => {
+  const { webhookId } = await subscribe({});
+  const buffer = hinge('1058613.png');
+  // Fails the upload transaction after image.created was recorded in it
+  await exec(`
+    CREATE TRIGGER fail_image_linked AFTER INSERT ON webhook_deliveries WHEN NEW.event = 'image.linked'
+    BEGIN SELECT RAISE(ABORT, 'linking failed'); END;
+  `);
+
+  try {
+    await assert.rejects(ingestImage(storage, {
+      buffer, originalName: '1058613.png', declaredContentType: 'image/png', articleIds: ['A2']
+    }), /linking failed/);
+  } finally {
+    await exec(`DROP TRIGGER fail_image_linked`);
+  }
+
+  const contentHash = crypto.createHash('sha256').update(buffer).digest('hex');
+  assert.strictEqual(await get(`SELECT id FROM images WHERE content_hash = ?`, [contentHash]), undefined);
+  assert.strictEqual(await get(`SELECT article_id FROM articles WHERE article_id = 'A2'`), undefined);
+  assert.deepStrictEqual(await deliveriesOf(webhookId), []);
+  await deleteWebhook(webhookId);
+});
+
+test('keeps a delivery the receiver rejected for a retry', async () => {
+  const { webhookId } = await subscribe({ events: ['article.updated'] });
+  statusCodes.push(500);
+
+  await recordEvent('article.updated', { article: { articleId: 'A1' } });
+  const delivery = await attempted(webhookId, 'article.updated');
+
+  assert.strictEqual(delivery.status, 'pending');
+  assert.strictEqual(delivery.attempts, 1);
+  assert.strictEqual(delivery.last_status_code, 500);
+  assert.strictEqual(delivery.last_error, 'Receiver answered 500');
+  const wait = await get(
+    `SELECT (julianday(next_attempt_at) - julianday(last_attempt_at)) * 86400 AS seconds FROM webhook_deliveries WHERE id = ?`,
+    [delivery.id]
+  );
+  assert.ok(Math.abs(wait.seconds - 30) < 1);
+  await deleteWebhook(webhookId);
+});
+
+test('sends events recorded in a transaction only once it commits', async () => {
+  const { webhookId } = await subscribe({ events: ['article.created', 'article.deleted'] });
+
+  await assert.rejects(transaction(async () => {
+    await recordEvent('article.deleted', { article: { articleId: 'A3' } });
+    throw new Error('rolled back');
+  }), /rolled back/);
+  assert.deepStrictEqual(await deliveriesOf(webhookId), []);
+
+  let inTransaction = true;
+  let sentDuringTransaction = false;
+  onRequest = () => { sentDuringTransaction = sentDuringTransaction || inTransaction; };
+  await transaction(async () => {
+    await recordEvent('article.created', { article: { articleId: 'A3' } });
+    await new Promise(resolve => setTimeout(resolve, 100));
+    inTransaction = false;
+  });
+  const delivery = await attempted(webhookId, 'article.created');
+  onRequest = () => {};
+
+  assert.strictEqual(delivery.status, 'delivered');
+  assert.strictEqual(sentDuringTransaction, false);
+  assert.deepStrictEqual((await deliveriesOf(webhookId)).map(row => row.event), ['article.created']);
+});
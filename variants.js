@@ -0,0 +1,142 @@
+const sharp = require('sharp');
+const { run, get } = require('./db');
+
+const FITS = ['cover', 'contain', 'fill', 'inside', 'outside'];
+const FORMATS = {
+  webp: 'image/webp',
+  jpeg: 'image/jpeg',
+  png: 'image/png',
+  avif: 'image/avif',
+  gif: 'image/gif'
+};
+const MAX_DIMENSION = 4000;
+
+// Named variants, pre-generated for every new upload and selectable with ?preset=
+const PRESETS = {
+  thumb: { width: 150, height: 150, fit: 'cover', format: 'webp' },
+  small: { width: 300, height: 300, fit: 'inside', format: 'webp' },
+  medium: { width: 800, height: 800, fit: 'inside', format: 'webp' }
+};
+
+function formatForContentType(contentType) {
+  const format = Object.keys(FORMATS).find(name => FORMATS[name] === contentType);
+  return format || (contentType === 'image/jpg' ? 'jpeg' : 'png');
+}
+
+function parseDimension(value, name) {
+  if (value === undefined) {
+    return { value: null };
+  }
+
+  const number = Number(value);
+  if (!Number.isInteger(number) || number < 1 || number > MAX_DIMENSION) {
+    return { error: `${name} must be an integer between 1 and ${MAX_DIMENSION}` };
+  }
+  return { value: number };
+}
+
+// Turns ?w=&h=&fit=&format= or ?preset= into a variant spec. Returns { spec: null }
+// when the original is requested and { error } for invalid parameters.
+function parseVariantQuery(query, originalContentType) {
+  const { w, h, fit, format, preset } = query;
+
+  if (preset !== undefined) {
+    if (!PRESETS[preset]) {
+      return { error: `Unknown preset "${preset}". Use one of: ${Object.keys(PRESETS).join(', ')}` };
+    }
+    return { spec: { ...PRESETS[preset], preset } };
+  }
+
+  if (w === undefined && h === undefined && fit === undefined && format === undefined) {
+    return { spec: null };
+  }
+
+  const width = parseDimension(w, 'w');
+  const height = parseDimension(h, 'h');
+  const dimensionError = width.error || height.error;
+  if (dimensionError) {
+    return { error: dimensionError };
+  }
+
+  if (fit !== undefined && !FITS.includes(fit)) {
+    return { error: `fit must be one of: ${FITS.join(', ')}` };
+  }
+
+  if (format !== undefined && !FORMATS[format]) {
+    return { error: `format must be one of: ${Object.keys(FORMATS).join(', ')}` };
+  }
+
+  return {
+    spec: {
+      width: width.value,
+      height: height.value,
+      fit: fit || 'cover',
+      format: format || formatForContentType(originalContentType)
+    }
+  };
+}
+
+function variantKey(spec) {
+  return `${spec.width || 'auto'}x${spec.height || 'auto'}-${spec.fit}.${spec.format}`;
+}
+
+async function renderVariant(buffer, spec) {
+  let pipeline = sharp(buffer);
+
+  if (spec.width || spec.height) {
+    pipeline = pipeline.resize({
+      width: spec.width || undefined,
+      height: spec.height || undefined,
+      fit: spec.fit,
+      withoutEnlargement: true
+    });
+  }
+
+  const { data, info } = await pipeline.toFormat(spec.format).toBuffer({ resolveWithObject: true });
+  return { buffer: data, width: info.width, height: info.height };
+}
+
+// Returns the stored variant row, generating and caching it in storage on first use.
+// `body` is set when the variant was just rendered, so callers can skip a storage read.
+// With render: false a variant that does not exist yet is not rendered and null is returned.
+async function ensureVariant(storage, image, spec, { render = true } = {}) {
+  const key = variantKey(spec);
+
+  const existing = await get(
+    `SELECT * FROM image_variants WHERE image_id = ? AND variant_key = ?`,
+    [image.id, key]
+  );
+  if (existing) {
+    return { variant: existing, body: null };
+  }
+  if (!render) {
+    return null;
+  }
+
+  const original = await storage.get(image.s3_key);
+  const rendered = await renderVariant(original.body, spec);
+  const contentType = FORMATS[spec.format];
+  const s3Key = `variants/${image.uuid}/${key}`;
+
+  await storage.put(s3Key, rendered.buffer, { contentType });
+  await run(
+    `INSERT OR IGNORE INTO image_variants
+       (image_id, variant_key, s3_key, width, height, fit, format, content_type, size)
+     VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?)`,
+    [image.id, key, s3Key, rendered.width, rendered.height, spec.fit, spec.format, contentType, rendered.buffer.length]
+  );
+
+  const variant = await get(
+    `SELECT * FROM image_variants WHERE image_id = ? AND variant_key = ?`,
+    [image.id, key]
+  );
+  return { variant, body: rendered.buffer };
+}
+
+async function generatePresets(storage, image) {
+  for (const [preset, spec] of Object.entries(PRESETS)) {
+    await ensureVariant(storage, image, { ...spec, preset });
+  }
+}
+
+module.exports = { PRESETS, parseVariantQuery, variantKey, ensureVariant, generatePresets };
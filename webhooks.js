@@ -0,0 +1,322 @@
+const crypto = require('crypto');
+const { AsyncLocalStorage } = require('async_hooks');
+const { v4: uuidv4 } = require('uuid');
+const { run, get, all, transaction } = require('./db');
+const { logger } = require('./logger');
+const { metrics } = require('./metrics');
+
+const WEBHOOK_EVENTS = [
+  'image.created',
+  'image.linked',
+  'image.unlinked',
+  'image.deleted',
+  'image.restored',
+  'image.purged',
+  'article.created',
+  'article.updated',
+  'article.deleted'
+];
+
+// Delay before each retry; a delivery fails for good after the last one
+const RETRY_DELAYS_SECONDS = [30, 120, 600, 1800, 3600, 3 * 3600, 6 * 3600];
+const MAX_ATTEMPTS = RETRY_DELAYS_SECONDS.length + 1;
+const DELIVERY_TIMEOUT_MS = 10 * 1000;
+const BATCH_SIZE = 20;
+// Deliveries recorded by other processes (the CLI) are picked up at least this often
+const POLL_INTERVAL_MS = 60 * 1000;
+
+// Returns { values } or { error }
+function parseWebhookInput(body = {}) {
+  let url;
+  try {
+    url = new URL(body.url);
+  } catch (error) {
+    return { error: 'url must be an absolute http or https URL' };
+  }
+  if (url.protocol !== 'http:' && url.protocol !== 'https:') {
+    return { error: 'url must be an absolute http or https URL' };
+  }
+
+  const events = body.events === undefined ? ['*'] : body.events;
+  if (!Array.isArray(events) || events.length === 0 ||
+      events.some(event => event !== '*' && !WEBHOOK_EVENTS.includes(event))) {
+    return { error: `events must be a list of: *, ${WEBHOOK_EVENTS.join(', ')}` };
+  }
+
+  if (body.secret !== undefined && (typeof body.secret !== 'string' || body.secret.length < 16)) {
+    return { error: 'secret must be a string of at least 16 characters' };
+  }
+  if (body.description !== undefined && body.description !== null && typeof body.description !== 'string') {
+    return { error: 'description must be a string' };
+  }
+
+  return {
+    values: {
+      url: url.toString(),
+      events: [...new Set(events)],
+      secret: body.secret,
+      description: body.description || null
+    }
+  };
+}
+
+// The secret is only returned when the webhook is created
+function webhookEntry(row) {
+  return {
+    webhookId: row.webhook_id,
+    url: row.url,
+    events: JSON.parse(row.events),
+    description: row.description,
+    active: Boolean(row.active),
+    createdAt: row.created_at
+  };
+}
+
+function deliveryEntry(row) {
+  return {
+    deliveryId: row.delivery_id,
+    webhookId: row.webhook_id,
+    event: row.event,
+    status: row.status,
+    attempts: row.attempts,
+    nextAttemptAt: row.status === 'pending' ? row.next_attempt_at : null,
+    lastAttemptAt: row.last_attempt_at,
+    lastStatusCode: row.last_status_code,
+    lastError: row.last_error,
+    createdAt: row.created_at,
+    deliveredAt: row.delivered_at,
+    payload: JSON.parse(row.payload)
+  };
+}
+
+// Secrets are generated unless the caller brings its own
+async function createWebhook({ url, events, secret, description }) {
+  const webhookId = crypto.randomBytes(6).toString('hex');
+  const webhookSecret = secret || `whsec_${crypto.randomBytes(24).toString('base64url')}`;
+
+  await run(
+    `INSERT INTO webhooks (webhook_id, url, events, secret, description) VALUES (?, ?, ?, ?, ?)`,
+    [webhookId, url, JSON.stringify(events), webhookSecret, description]
+  );
+
+  return { webhook: await getWebhook(webhookId), secret: webhookSecret };
+}
+
+function getWebhook(webhookId) {
+  return get(`SELECT * FROM webhooks WHERE webhook_id = ?`, [webhookId]);
+}
+
+function listWebhooks() {
+  return all(`SELECT * FROM webhooks ORDER BY id`);
+}
+
+// Removes the webhook with its delivery log. Returns false when it does not exist.
+async function deleteWebhook(webhookId) {
+  return transaction(async () => {
+    await run(`DELETE FROM webhook_deliveries WHERE webhook_id = ?`, [webhookId]);
+    const result = await run(`DELETE FROM webhooks WHERE webhook_id = ?`, [webhookId]);
+    return result.changes > 0;
+  });
+}
+
+// Receivers recompute this over the X-Webhook-Timestamp header and the raw body and
+// compare it with X-Webhook-Signature
+function signPayload(secret, timestamp, body) {
+  return `sha256=${crypto.createHmac('sha256', secret).update(`${timestamp}.${body}`).digest('hex')}`;
+}
+
+// Image fields included in image.* events
+function imageSummary(image) {
+  return {
+    uuid: image.uuid,
+    originalName: image.original_name,
+    contentType: image.content_type,
+    size: image.size,
+    width: image.width,
+    height: image.height,
+    altText: image.alt_text
+  };
+}
+
+let dispatcher = null;
+
+// Queues a delivery of the event for every active webhook subscribed to it. Called inside
+// the transaction that makes the change where there is one, so an event is recorded if and
+// only if the change is committed.
+async function recordEvent(event, data) {
+  const webhooks = (await all(`SELECT webhook_id, events FROM webhooks WHERE active = 1`))
+    .filter(webhook => {
+      const events = JSON.parse(webhook.events);
+      return events.includes('*') || events.includes(event);
+    });
+  if (webhooks.length === 0) {
+    return;
+  }
+
+  const payload = JSON.stringify({ id: uuidv4(), event, createdAt: new Date().toISOString(), data });
+  for (const webhook of webhooks) {
+    await run(
+      `INSERT INTO webhook_deliveries (delivery_id, webhook_id, event, payload) VALUES (?, ?, ?, ?)`,
+      [uuidv4(), webhook.webhook_id, event, payload]
+    );
+  }
+
+  if (dispatcher) {
+    dispatcher.wake();
+  }
+}
+
+// Queues a failed or delivered delivery again. Returns the delivery, or null when not found.
+async function retryDelivery(webhookId, deliveryId) {
+  const result = await run(
+    `UPDATE webhook_deliveries
+     SET status = 'pending', attempts = 0, next_attempt_at = CURRENT_TIMESTAMP
+     WHERE webhook_id = ? AND delivery_id = ?`,
+    [webhookId, deliveryId]
+  );
+  if (result.changes === 0) {
+    return null;
+  }
+  if (dispatcher) {
+    dispatcher.wake();
+  }
+  return get(`SELECT * FROM webhook_deliveries WHERE delivery_id = ?`, [deliveryId]);
+}
+
+async function attemptDelivery(delivery) {
+  const timestamp = String(Math.floor(Date.now() / 1000));
+  let statusCode = null;
+  let error = null;
+
+  try {
+    const response = await fetch(delivery.url, {
+      method: 'POST',
+      headers: {
+        'Content-Type': 'application/json',
+        'User-Agent': 'catalog-app-server-webhooks',
+        'X-Webhook-Event': delivery.event,
+        'X-Webhook-Delivery': delivery.delivery_id,
+        'X-Webhook-Timestamp': timestamp,
+        'X-Webhook-Signature': signPayload(delivery.secret, timestamp, delivery.payload)
+      },
+      body: delivery.payload,
+      redirect: 'manual',
+      signal: AbortSignal.timeout(DELIVERY_TIMEOUT_MS)
+    });
+    statusCode = response.status;
+    await response.arrayBuffer().catch(() => {});
+    if (!response.ok) {
+      error = `Receiver answered ${response.status}`;
+    }
+  } catch (requestError) {
+    error = requestError.name === 'TimeoutError'
+      ? `No response within ${DELIVERY_TIMEOUT_MS / 1000}s`
+      : (requestError.cause && requestError.cause.message) || requestError.message;
+  }
+
+  const attempts = delivery.attempts + 1;
+  let status = 'delivered';
+  if (error) {
+    status = attempts >= MAX_ATTEMPTS ? 'failed' : 'pending';
+  }
+  const retryDelay = status === 'pending' ? RETRY_DELAYS_SECONDS[attempts - 1] : 0;
+  metrics.webhookDeliveries.inc({ result: status === 'pending' ? 'retry' : status });
+  if (error) {
+    logger.warn('Webhook delivery failed', {
+      webhookId: delivery.webhook_id, deliveryId: delivery.delivery_id, event: delivery.event, attempts, error
+    });
+  }
+
+  await run(
+    `UPDATE webhook_deliveries
+     SET status = ?, attempts = ?, last_attempt_at = CURRENT_TIMESTAMP, last_status_code = ?, last_error = ?,
+         next_attempt_at = datetime('now', ?),
+         delivered_at = CASE WHEN ? = 'delivered' THEN CURRENT_TIMESTAMP ELSE NULL END
+     WHERE id = ?`,
+    [status, attempts, statusCode, error, `+${retryDelay} seconds`, status, delivery.id]
+  );
+}
+
+// Sends due deliveries one at a time, oldest first, and sleeps until the next one is due
+function startWebhookDispatcher() {
+  if (dispatcher) {
+    return dispatcher;
+  }
+
+  let timer = null;
+  let running = false;
+  let wokenWhileRunning = false;
+  // Woken from within requests and transactions, but runs in the context it was started in,
+  // so its statements and log lines belong to none of them
+  const detached = AsyncLocalStorage.snapshot();
+
+  const schedule = delay => {
+    clearTimeout(timer);
+    timer = setTimeout(() => detached(pass), Math.max(0, Math.min(delay, POLL_INTERVAL_MS)));
+    timer.unref();
+  };
+
+  async function pass() {
+    if (running) {
+      wokenWhileRunning = true;
+      return;
+    }
+    running = true;
+    wokenWhileRunning = false;
+
+    let delay = POLL_INTERVAL_MS;
+    try {
+      // Statements wait for an open transaction (see db.js), so deliveries it records are
+      // only read, and sent, once it has committed
+      const due = await all(
+        `SELECT d.*, w.url, w.secret
+         FROM webhook_deliveries d
+         JOIN webhooks w ON w.webhook_id = d.webhook_id
+         WHERE d.status = 'pending' AND d.next_attempt_at <= datetime('now')
+         ORDER BY d.id
+         LIMIT ?`,
+        [BATCH_SIZE]
+      );
+
+      for (const delivery of due) {
+        await attemptDelivery(delivery);
+      }
+
+      const next = await get(
+        `SELECT (julianday(MIN(next_attempt_at)) - julianday('now')) * 86400000 AS delay
+         FROM webhook_deliveries WHERE status = 'pending'`
+      );
+      if (due.length === BATCH_SIZE) {
+        delay = 0;
+      } else if (next && next.delay !== null) {
+        delay = next.delay;
+      }
+    } catch (error) {
+      logger.error('Webhook delivery error', { error });
+    } finally {
+      running = false;
+    }
+
+    schedule(wokenWhileRunning ? 0 : delay);
+  }
+
+  dispatcher = { wake: () => schedule(0) };
+  schedule(0);
+  return dispatcher;
+}
+
+module.exports = {
+  WEBHOOK_EVENTS,
+  parseWebhookInput,
+  webhookEntry,
+  deliveryEntry,
+  createWebhook,
+  getWebhook,
+  listWebhooks,
+  deleteWebhook,
+  signPayload,
+  imageSummary,
+  recordEvent,
+  retryDelivery,
+  startWebhookDispatcher
+};